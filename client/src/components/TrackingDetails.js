@@ -27,15 +27,16 @@ const TrackingDetails = ({ order, onClose }) => {
   const [error, setError] = useState(null);
   const [carriers, setCarriers] = useState([]);
 
-  const fetchEnhancedTracking = useCallback(async () => {
-    if (!order?.trackingNumber || !order?.trackingCompany) return;
+  // refresh skips the server's tracking cache and asks the carrier again
+  const fetchEnhancedTracking = useCallback(async ({ refresh = false } = {}) => {
+    if (!order?.trackingNumber) return;
     
     setLoading(true);
     setError(null);
     
     try {
       const response = await apiClient.get(
-        apiEndpoints.tracking.enhanced(order.trackingCompany, order.trackingNumber)
+        apiEndpoints.tracking.enhanced(order.trackingCompany, order.trackingNumber, { refresh })
       );
       
       if (response.success) {
@@ -52,7 +53,7 @@ const TrackingDetails = ({ order, onClose }) => {
   }, [order?.trackingNumber, order?.trackingCompany]);
 
   useEffect(() => {
-    if (order?.trackingNumber && order?.trackingCompany) {
+    if (order?.trackingNumber) {
       fetchEnhancedTracking();
     }
     fetchSupportedCarriers();
@@ -82,6 +83,26 @@ const TrackingDetails = ({ order, onClose }) => {
     return <Badge {...(statusMap[status] || { children: status })} />;
   };
 
+  // Shipment status codes from the server's canonical event model
+  const getShipmentStatusBadge = (status, label) => {
+    const statusMap = {
+      label_created: { status: 'new', label: 'Label Created' },
+      picked_up: { status: 'warning', label: 'Picked Up' },
+      in_transit: { status: 'attention', label: 'In Transit' },
+      out_for_delivery: { status: 'info', label: 'Out for Delivery' },
+      delivered: { status: 'success', label: 'Delivered' },
+      exception: { status: 'critical', label: 'Exception' },
+      returned: { status: 'critical', label: 'Returned' },
+    };
+    const badge = statusMap[status] || { label: 'Unknown' };
+    return <Badge status={badge.status}>{label || badge.label}</Badge>;
+  };
+
+  const formatLocation = (location) => {
+    if (!location) return null;
+    return [location.city, location.state, location.country].filter(Boolean).join(', ') || null;
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     try {
@@ -144,29 +165,44 @@ const TrackingDetails = ({ order, onClose }) => {
             <Text variant="headingMd" as="h3">
               Live Tracking Status
             </Text>
-            {enhancedTracking.isLiveData === false && (
-              <Badge status="info">Fallback Data</Badge>
-            )}
+            <InlineStack gap="200">
+              {enhancedTracking.isLiveData === false && (
+                <Badge status="info">Fallback Data</Badge>
+              )}
+              <Button
+                size="slim"
+                onClick={() => fetchEnhancedTracking({ refresh: true })}
+                loading={loading}
+              >
+                Refresh
+              </Button>
+            </InlineStack>
           </InlineStack>
           
+          {enhancedTracking.cache?.fetchedAt && (
+            <Text variant="bodyMd" color="subdued">
+              Last updated {formatDate(enhancedTracking.cache.fetchedAt)}
+            </Text>
+          )}
+          
           <InlineStack gap="400" align="space-between">
             <BlockStack gap="200">
               <InlineStack gap="200" align="start">
                 <Icon source={TransportMajor} color="base" />
                 <BlockStack gap="100">
                   <Text variant="bodyMd" color="subdued">Current Status</Text>
-                  {getStatusBadge(enhancedTracking.status)}
+                  {getShipmentStatusBadge(enhancedTracking.status, enhancedTracking.statusLabel)}
                 </BlockStack>
               </InlineStack>
             </BlockStack>
             
-            {enhancedTracking.location && (
+            {formatLocation(enhancedTracking.location) && (
               <BlockStack gap="200">
                 <InlineStack gap="200" align="start">
                   <Icon source={LocationMajor} color="base" />
                   <BlockStack gap="100">
                     <Text variant="bodyMd" color="subdued">Current Location</Text>
-                    <Text variant="bodyLg">{enhancedTracking.location}</Text>
+                    <Text variant="bodyLg">{formatLocation(enhancedTracking.location)}</Text>
                   </BlockStack>
                 </InlineStack>
               </BlockStack>
@@ -219,7 +255,7 @@ const TrackingDetails = ({ order, onClose }) => {
           
           <BlockStack gap="300">
             {enhancedTracking.events.map((event, index) => (
-              <div key={index} style={{ 
+              <div key={`${event.timestamp}-${index}`} style={{ 
                 padding: '12px', 
                 border: '1px solid #e1e3e5', 
                 borderRadius: '8px',
@@ -230,16 +266,17 @@ const TrackingDetails = ({ order, onClose }) => {
                     <Text variant="bodyMd" fontWeight="medium">
                       {event.description}
                     </Text>
-                    {event.location && (
+                    {formatLocation(event.location) && (
                       <Text variant="bodyMd" color="subdued">
-                        {event.location}
+                        {formatLocation(event.location)}
                       </Text>
                     )}
                   </BlockStack>
                   
                   <BlockStack gap="100" align="end">
+                    {getShipmentStatusBadge(event.status)}
                     <Text variant="bodyMd" color="subdued">
-                      {formatDate(`${event.date} ${event.time}`)}
+                      {formatDate(event.timestamp)}
                     </Text>
                   </BlockStack>
                 </InlineStack>
@@ -274,7 +311,7 @@ const TrackingDetails = ({ order, onClose }) => {
           {error && (
             <Banner status="warning">
               <p>{error}</p>
-              <Button size="slim" onClick={fetchEnhancedTracking}>
+              <Button size="slim" onClick={() => fetchEnhancedTracking()}>
                 Retry
               </Button>
             </Banner>
@@ -24,6 +24,9 @@ import {
   DesktopMajor,
   CalendarMajor,
 } from '@shopify/polaris-icons';
+import * as api from '../utils/api';
+
+const { apiClient, apiEndpoints } = api;
 
 const Analytics = () => {
   const [dateRange, setDateRange] = useState('30');
@@ -31,6 +34,7 @@ const Analytics = () => {
   const [analyticsData, setAnalyticsData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [carrierUsage, setCarrierUsage] = useState([]);
 
   // Fetch real analytics data from backend
   const fetchAnalytics = useCallback(async () => {
@@ -95,6 +99,23 @@ const Analytics = () => {
     fetchAnalytics();
   }, [fetchAnalytics]);
 
+  // Carrier API requests today against the daily budgets
+  const fetchCarrierUsage = useCallback(async () => {
+    try {
+      const data = await apiClient.get(apiEndpoints.tracking.usage());
+
+      if (data.success) {
+        setCarrierUsage(data.usage.filter(carrier => carrier.configured));
+      }
+    } catch (err) {
+      console.error('Error fetching carrier usage:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCarrierUsage();
+  }, [fetchCarrierUsage]);
+
 
 
   const dateRangeOptions = [
@@ -284,6 +305,51 @@ const Analytics = () => {
     </Layout>
   );
 
+  const renderCarrierUsage = () => (
+    <Layout.Section>
+      <Card title="Carrier API Usage" sectioned>
+        <BlockStack gap="300">
+          <Text variant="bodySm" color="subdued">
+            Live tracking requests sent today (UTC). When a budget runs out, lookups show cached or carrier website links until it resets.
+          </Text>
+          {carrierUsage.map((carrier) => {
+            const usedPercentage = carrier.dailyBudget
+              ? Math.min(100, Math.round((carrier.requests / carrier.dailyBudget) * 100))
+              : 0;
+
+            return (
+              <BlockStack key={carrier.code} gap="100">
+                <InlineStack align="space-between">
+                  <InlineStack gap="200">
+                    <Text variant="bodyMd" fontWeight="medium">{carrier.name}</Text>
+                    {carrier.dailyBudget && carrier.remaining === 0 && (
+                      <Badge status="critical">Budget exhausted</Badge>
+                    )}
+                    {carrier.rejected > 0 && (
+                      <Badge status="warning">{`${carrier.rejected} limited`}</Badge>
+                    )}
+                  </InlineStack>
+                  <Text variant="bodyMd">
+                    {carrier.dailyBudget
+                      ? `${carrier.requests.toLocaleString()} / ${carrier.dailyBudget.toLocaleString()} requests`
+                      : `${carrier.requests.toLocaleString()} requests (no daily budget)`}
+                  </Text>
+                </InlineStack>
+                {carrier.dailyBudget && (
+                  <ProgressBar
+                    progress={usedPercentage}
+                    size="small"
+                    color={usedPercentage >= 90 ? 'critical' : 'primary'}
+                  />
+                )}
+              </BlockStack>
+            );
+          })}
+        </BlockStack>
+      </Card>
+    </Layout.Section>
+  );
+
   const renderCarrierAnalytics = () => (
     <Layout>
       <Layout.Section oneHalf>
@@ -454,6 +520,8 @@ const Analytics = () => {
         {selectedMetric === 'orders' && renderCarrierAnalytics()}
         {selectedMetric === 'geographic' && renderGeographicData()}
 
+        {carrierUsage.length > 0 && renderCarrierUsage()}
+
         <Layout.Section>
           <Card title="Quick Actions" sectioned>
             <InlineStack>
@@ -13,6 +13,7 @@ import {
   Banner,
   Spinner,
   EmptyState,
+  ProgressBar,
 } from '@shopify/polaris';
 import {
   OrdersMajor,
@@ -20,7 +21,7 @@ import {
   CircleAlertMajor,
   ViewMajor,
 } from '@shopify/polaris-icons';
-import { useQuery } from 'react-query';
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from 'react-query';
 import * as api from '../utils/api';
 import TrackingDetails from '../components/TrackingDetails';
 
@@ -30,19 +31,52 @@ const Dashboard = () => {
   const [selectedOrders, setSelectedOrders] = useState([]);
   const [selectedOrderForTracking, setSelectedOrderForTracking] = useState(null);
 
-  // Fetch real orders from API
-  const { data: orders = [], isLoading: ordersLoading, error: ordersError } = useQuery(
+  const queryClient = useQueryClient();
+
+  // Fetch real orders from API, a page at a time. Not refetched on an
+  // interval: that reloads every loaded page, each an Admin API query.
+  const {
+    data: ordersData,
+    isLoading: ordersLoading,
+    error: ordersError,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery(
     'orders',
+    ({ pageParam }) => apiClient.get(apiEndpoints.orders.list(pageParam)),
+    {
+      getNextPageParam: (lastPage) => (lastPage.pageInfo?.hasNextPage ? lastPage.pageInfo.endCursor : undefined),
+      retry: 3,
+    }
+  );
+  const orders = ordersData?.pages.flatMap(page => page.orders || []) || [];
+
+  // Order sync progress; polled while a sync is running
+  const { data: orderSync } = useQuery(
+    'orderSync',
     async () => {
-      const response = await apiClient.get(apiEndpoints.orders.list());
-      return response.orders || [];
+      const response = await apiClient.get(apiEndpoints.orders.sync());
+      return response.sync;
     },
     {
-      refetchInterval: 30000, // Refetch every 30 seconds
-      retry: 3,
+      refetchInterval: (sync) => (sync?.status === 'running' ? 3000 : false),
+      retry: false,
     }
   );
 
+  const startOrderSync = useMutation(
+    () => apiClient.post(apiEndpoints.orders.sync(), { force: orderSync?.status === 'completed' }),
+    { onSuccess: (response) => queryClient.setQueryData('orderSync', response.sync) }
+  );
+
+  // Install state; prompts re-authorization when the app's scopes changed
+  const { data: shopStatus } = useQuery(
+    'shopStatus',
+    () => apiClient.get(apiEndpoints.shop.status()),
+    { retry: false }
+  );
+
   // Calculate stats from real data
   const stats = {
     totalOrders: orders.length || 0,
@@ -52,7 +86,7 @@ const Dashboard = () => {
   };
 
   // Use real orders or fallback to empty array
-  const recentOrders = orders.slice(0, 5).map(order => ({
+  const recentOrders = orders.map(order => ({
     id: order.id,
     orderNumber: order.name || `#${order.orderNumber}`,
     customer: order.customer?.firstName && order.customer?.lastName 
@@ -162,6 +196,25 @@ const Dashboard = () => {
       }}
     >
       <Layout>
+        {shopStatus?.reauthRequired && shopStatus.reauthUrl && (
+          <Layout.Section>
+            <Banner
+              title="Smart Order Tracking needs updated permissions"
+              status="warning"
+              action={{
+                content: 'Update permissions',
+                onAction: () => window.open(shopStatus.reauthUrl, '_top'),
+              }}
+            >
+              <p>
+                {shopStatus.active
+                  ? `The app now needs access to: ${shopStatus.missingScopes.join(', ')}. Approve the new permissions to keep tracking working.`
+                  : 'Authorize the app with your store to start tracking orders.'}
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+
         <Layout.Section>
           <Banner
             title="Welcome to Smart Order Tracking!"
@@ -246,11 +299,15 @@ const Dashboard = () => {
                   selectedRows={selectedOrders}
                   onSelectionChange={setSelectedOrders}
                 />
-                <div style={{padding: '16px'}}>
-                  <InlineStack align="center">
-                    <Button>View All Orders</Button>
-                  </InlineStack>
-                </div>
+                {hasNextPage && (
+                  <div style={{padding: '16px'}}>
+                    <InlineStack align="center">
+                      <Button onClick={() => fetchNextPage()} loading={isFetchingNextPage}>
+                        Load more orders
+                      </Button>
+                    </InlineStack>
+                  </div>
+                )}
               </>
             ) : (
               <div style={{padding: '16px'}}>
@@ -283,6 +340,41 @@ const Dashboard = () => {
             </div>
           </Card>
 
+          <Card title="Order Sync">
+            <div style={{padding: '16px'}}>
+              <BlockStack gap="300">
+                {orderSync?.status === 'running' && (
+                  <BlockStack gap="100">
+                    <ProgressBar progress={orderSync.progress} size="small" />
+                    <Text variant="bodyMd" color="subdued">
+                      {orderSync.ordersSynced.toLocaleString()} orders synced ({orderSync.progress}%)
+                    </Text>
+                  </BlockStack>
+                )}
+                {orderSync?.status === 'completed' && (
+                  <Text variant="bodyMd" color="subdued">
+                    {orderSync.ordersSynced.toLocaleString()} orders synced
+                    {orderSync.lastSyncedAt && `, last updated ${new Date(orderSync.lastSyncedAt).toLocaleString()}`}
+                  </Text>
+                )}
+                {orderSync?.error && (
+                  <Text variant="bodyMd" color="critical">
+                    Last sync failed: {orderSync.error}
+                  </Text>
+                )}
+                {orderSync?.status !== 'running' && (
+                  <Button
+                    fullWidth
+                    onClick={() => startOrderSync.mutate()}
+                    loading={startOrderSync.isLoading}
+                  >
+                    {orderSync?.status === 'completed' ? 'Sync orders again' : 'Sync orders'}
+                  </Button>
+                )}
+              </BlockStack>
+            </div>
+          </Card>
+
           <Card title="Tracking Performance">
             <div style={{padding: '16px'}}>
               <BlockStack gap="300">
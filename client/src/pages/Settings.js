@@ -7,6 +7,7 @@ import {
   TextField,
   Select,
   Checkbox,
+  ChoiceList,
   Button,
   InlineStack,
   BlockStack,
@@ -21,6 +22,10 @@ import {
   Toast,
   Frame,
 } from '@shopify/polaris';
+import { useQuery } from 'react-query';
+import api from '../utils/api';
+
+const { apiClient, apiEndpoints } = api;
 
 const Settings = () => {
   const [activeTab, setActiveTab] = useState(0);
@@ -33,6 +38,26 @@ const Settings = () => {
   const [pageDescription, setPageDescription] = useState('Enter your order number to track your shipment');
   const [autoEmailNotifications, setAutoEmailNotifications] = useState(true);
   const [smsNotifications, setSmsNotifications] = useState(false);
+  const [fulfillmentEventsEnabled, setFulfillmentEventsEnabled] = useState(false);
+  const [orderMetafields, setOrderMetafields] = useState([]);
+  const [orderTags, setOrderTags] = useState([]);
+
+  // Settings stored by the backend
+  const { data: savedSettings } = useQuery(
+    'settings',
+    async () => {
+      const response = await apiClient.get(apiEndpoints.settings.get());
+      return response.settings;
+    },
+    {
+      onSuccess: (settings) => {
+        setFulfillmentEventsEnabled(Boolean(settings?.fulfillmentEventsEnabled));
+        setOrderMetafields(settings?.orderMetafields || []);
+        setOrderTags(settings?.orderTags || []);
+      },
+      retry: false,
+    }
+  );
 
   // Branding Settings State
   const [brandColor, setBrandColor] = useState({ hue: 120, brightness: 1, saturation: 1 });
@@ -63,9 +88,19 @@ const Settings = () => {
     setToastActive(true);
   };
 
-  const handleSave = () => {
-    // In a real app, this would save to the backend
-    showToast('Settings saved successfully!');
+  const handleSave = async () => {
+    // Only settings the backend stores are sent; the others stay local for now
+    try {
+      await apiClient.put(apiEndpoints.settings.update(), {
+        ...savedSettings,
+        fulfillmentEventsEnabled,
+        orderMetafields,
+        orderTags,
+      });
+      showToast('Settings saved successfully!');
+    } catch (error) {
+      showToast('Failed to save settings');
+    }
   };
 
   const tabs = [
@@ -91,6 +126,24 @@ const Settings = () => {
     },
   ];
 
+  const orderMetafieldOptions = [
+    { label: 'Delivery status', value: 'status', helpText: 'smart_tracking.status, e.g. in_transit or delivered' },
+    { label: 'Delivered at', value: 'delivered_at', helpText: 'smart_tracking.delivered_at, once every shipment is delivered' },
+    { label: 'Estimated delivery', value: 'eta', helpText: 'smart_tracking.eta, while shipments are on their way' },
+    { label: 'Exception reason', value: 'exception_reason', helpText: "smart_tracking.exception_reason, the carrier's description of a delivery problem" },
+  ];
+
+  // Tagged as tracking:<state>; the previous tag is removed when the state changes
+  const orderTagOptions = [
+    { label: 'tracking:label_created', value: 'label_created' },
+    { label: 'tracking:in_transit', value: 'in_transit' },
+    { label: 'tracking:out_for_delivery', value: 'out_for_delivery' },
+    { label: 'tracking:partially_delivered', value: 'partially_delivered' },
+    { label: 'tracking:delivered', value: 'delivered' },
+    { label: 'tracking:exception', value: 'exception' },
+    { label: 'tracking:returned', value: 'returned' },
+  ];
+
   const fontOptions = [
     { label: 'System Default', value: 'system' },
     { label: 'Arial', value: 'Arial, sans-serif' },
@@ -142,6 +195,36 @@ const Settings = () => {
               onChange={setSmsNotifications}
               helpText="Send SMS updates to customers (requires SMS service setup)"
             />
+            <Checkbox
+              label="Update Shopify with tracking status"
+              checked={fulfillmentEventsEnabled}
+              onChange={setFulfillmentEventsEnabled}
+              helpText="Add carrier updates (in transit, out for delivery, delivered, delivery failed) to the order in Shopify, so its order status page and shipping notifications stay current"
+            />
+          </FormLayout>
+        </Card>
+      </Layout.Section>
+
+      <Layout.Section>
+        <Card title="Order Metafields and Tags" sectioned>
+          <FormLayout>
+            <Text color="subdued">
+              Keep each order's delivery state on the order in Shopify, for customer segments, order filters and Shopify Flow. Orders are updated whenever one of their shipments changes status.
+            </Text>
+            <ChoiceList
+              allowMultiple
+              title="Metafields (smart_tracking namespace)"
+              choices={orderMetafieldOptions}
+              selected={orderMetafields}
+              onChange={setOrderMetafields}
+            />
+            <ChoiceList
+              allowMultiple
+              title="Order tags"
+              choices={orderTagOptions}
+              selected={orderTags}
+              onChange={setOrderTags}
+            />
           </FormLayout>
         </Card>
       </Layout.Section>
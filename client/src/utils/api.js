@@ -19,17 +19,26 @@ export const apiEndpoints = {
   
   // Orders endpoints
   orders: {
-    list: () => `${API_BASE_URL}/orders`,
+    list: (cursor) => `${API_BASE_URL}/orders${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`,
     get: (id) => `${API_BASE_URL}/orders/${id}`,
     update: (id) => `${API_BASE_URL}/orders/${id}`,
+    sync: () => `${API_BASE_URL}/orders/sync`,
   },
   
   // Tracking endpoints
   tracking: {
     get: (trackingNumber) => `${API_BASE_URL}/tracking/${trackingNumber}`,
     update: (trackingNumber) => `${API_BASE_URL}/tracking/${trackingNumber}`,
-    enhanced: (carrier, trackingNumber) => `${API_BASE_URL}/tracking/enhanced/${encodeURIComponent(carrier)}/${encodeURIComponent(trackingNumber)}`,
+    enhanced: (carrier, trackingNumber, { refresh = false } = {}) => (carrier
+      ? `${API_BASE_URL}/tracking/enhanced/${encodeURIComponent(carrier)}/${encodeURIComponent(trackingNumber)}`
+      : `${API_BASE_URL}/tracking/enhanced/${encodeURIComponent(trackingNumber)}`) + (refresh ? '?refresh=true' : ''),
     carriers: () => `${API_BASE_URL}/tracking/carriers`,
+    usage: () => `${API_BASE_URL}/tracking/usage`,
+  },
+  
+  // Shop install state
+  shop: {
+    status: () => `${API_BASE_URL}/shop/status`,
   },
   
   // Health check
@@ -1,267 +1,656 @@
 /**
  * Smart Order Tracking - Frontend JavaScript
- * Handles order lookup, API calls, and UI updates
+ * Order lookup, result rendering and analytics shared by the standalone
+ * tracking page and the theme tracking block. Both reach the backend through
+ * the app proxy, so they use the same endpoints and render the same results;
+ * each one only brings its own config (form, results container, messages).
  */
 
-class OrderTracker {
-  constructor(options = {}) {
-    this.shopDomain = options.shopDomain || window.Shopify?.shop || '';
-    this.apiBaseUrl = `/apps/smart-order-tracking/api/tracking`;
-    this.form = null;
-    this.resultsContainer = null;
-    this.loadingState = false;
-    
-    this.init();
-  }
+(function () {
+  // Loaded once per tracking block on the page; the first copy wins
+  if (typeof window !== 'undefined' && window.OrderTracker) return;
 
-  init() {
-    // Wait for DOM to be ready
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => this.bindEvents());
-    } else {
-      this.bindEvents();
+  const API_BASE_URL = '/apps/smart-order-tracking/api/tracking';
+
+  const DEFAULT_MESSAGES = {
+    trackingFound: '',
+    notDispatched: "Your order has been received and is being processed. You'll receive tracking information once it ships.",
+    notFoundTitle: '',
+    notFound: '',
+    notFoundHelp: 'Please check your order number and contact information, then try again.',
+    lookupFailed: 'Unable to lookup order. Please try again later.',
+    recommendedTitle: 'You might also like'
+  };
+
+  /**
+   * Storefront API client: order lookup, recommended products and analytics
+   */
+  class TrackingApi {
+    constructor({ shopDomain, baseUrl = API_BASE_URL, source = 'tracking_page' }) {
+      this.shopDomain = shopDomain;
+      this.baseUrl = baseUrl;
+      this.source = source;
     }
-  }
 
-  bindEvents() {
-    // Find tracking forms
-    const forms = document.querySelectorAll('.tracking-form, [data-tracking-form]');
-    forms.forEach(form => this.bindForm(form));
-  }
+    /**
+     * Look up an order by number and the customer's email or phone
+     * @returns {Promise<Object>} { success, order } or { success: false, error }
+     */
+    async lookup(orderNumber, contactInfo) {
+      const response = await fetch(`${this.baseUrl}/lookup/${encodeURIComponent(this.shopDomain)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+          orderNumber: orderNumber,
+          email: contactInfo.includes('@') ? contactInfo : null,
+          phone: !contactInfo.includes('@') ? contactInfo : null
+        })
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      // Not found comes back as 404 with { success: false, error }
+      if (!response.ok && data.success === undefined) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
 
-  bindForm(form) {
-    if (!form) return;
-    
-    this.form = form;
-    this.resultsContainer = form.querySelector('.tracking-results') || 
-                           document.querySelector('.tracking-results');
-    
-    form.addEventListener('submit', (e) => this.handleSubmit(e));
-    
-    // Auto-focus first input
-    const firstInput = form.querySelector('input[type="text"], input[type="email"], input[type="tel"]');
-    if (firstInput) {
-      firstInput.focus();
+      return data;
     }
-  }
 
-  async handleSubmit(event) {
-    event.preventDefault();
-    
-    if (this.loadingState) return;
-    
-    const formData = new FormData(this.form);
-    const orderNumber = formData.get('order_number')?.trim();
-    const contactInfo = formData.get('email')?.trim() || formData.get('phone')?.trim();
-    
-    // Validation
-    if (!orderNumber) {
-      this.showError('Please enter your order number');
-      return;
+    async getRecommendedProducts(limit = 4) {
+      const response = await fetch(`${this.baseUrl}/products/${encodeURIComponent(this.shopDomain)}?limit=${limit}`);
+      if (!response.ok) return [];
+
+      const data = await response.json();
+      return data.success && data.products ? data.products : [];
+    }
+
+    // Fire-and-forget; analytics failures never reach the customer
+    track(event, data = {}) {
+      return fetch(`${this.baseUrl}/analytics/track`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          ...data,
+          event,
+          shop_domain: this.shopDomain,
+          source: this.source,
+          timestamp: new Date().toISOString(),
+          page_url: window.location.href
+        })
+      }).catch(error => {
+        console.warn('Analytics recording failed:', error);
+      });
     }
-    
-    if (!contactInfo) {
-      this.showError('Please enter your email address or phone number');
-      return;
+  }
+
+  /**
+   * HTML for lookup results. Every value interpolated into the markup goes
+   * through escape(), and only http(s) URLs are linked or loaded: order,
+   * product and carrier data comes from outside the merchant's theme.
+   */
+  class TrackingRenderer {
+    constructor({ locale, messages = {} } = {}) {
+      this.locale = locale;
+      // Unset messages (e.g. missing data attributes) keep their defaults
+      this.messages = { ...DEFAULT_MESSAGES };
+      Object.entries(messages).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) this.messages[key] = value;
+      });
     }
-    
-    // Show loading state
-    this.setLoadingState(true);
-    
-    try {
-      const result = await this.lookupOrder(orderNumber, contactInfo);
-      
-      if (result.success) {
-        this.showSuccess(result.order);
-        this.recordAnalytics(orderNumber);
+
+    renderOrder(order) {
+      const { packages, unshipped } = this.groupLineItems(order);
+
+      let html = `
+        <div class="tracking-success">
+          <div class="order-info">
+            <h3>Order ${this.escape(order.name || order.order_number)}</h3>
+            <p class="order-date">Placed on ${this.escape(this.formatDate(order.created_at))}</p>
+            <p class="order-status">
+              <span class="status-badge status-${this.escape(order.fulfillment_status)}">
+                ${this.escape(this.formatStatus(order.fulfillment_status))}
+              </span>
+            </p>
+          </div>
+      `;
+
+      if (packages.length > 0) {
+        html += '<div class="tracking-info">';
+        if (this.messages.trackingFound) {
+          html += `<p class="tracking-found-message">${this.escape(this.messages.trackingFound)}</p>`;
+        }
+
+        packages.forEach(({ fulfillment, items }, index) => {
+          const heading = packages.length > 1 ? `Package ${index + 1} of ${packages.length}` : 'Shipment Details';
+          html += `
+            <div class="fulfillment">
+              <h4>${heading}</h4>
+              ${this.renderLineItems(items, 'package-items')}
+              ${fulfillment.tracking_company ? `<p><strong>Carrier:</strong> ${this.escape(fulfillment.tracking_company)}</p>` : ''}
+              ${fulfillment.tracking_number ? `<p><strong>Tracking Number:</strong> ${this.escape(fulfillment.tracking_number)}</p>` : ''}
+              ${this.hasLiveTracking(fulfillment)
+                ? this.renderShipmentProgress(order, fulfillment) + this.renderShipmentTracking(fulfillment.tracking)
+                : this.renderTrackingLink(fulfillment)}
+              <p class="fulfillment-date">Shipped on ${this.escape(this.formatDate(fulfillment.created_at))}</p>
+            </div>
+          `;
+        });
+
+        if (unshipped.length > 0) {
+          html += `
+            <div class="fulfillment fulfillment-pending">
+              <h4>Not yet shipped</h4>
+              ${this.renderLineItems(unshipped, 'package-items')}
+              <p>You'll receive tracking information once these items ship.</p>
+            </div>
+          `;
+        }
+        html += '</div>';
       } else {
-        this.showError(result.error || 'Order not found or contact information does not match');
+        html += `
+          <div class="no-tracking">
+            <p>${this.escape(this.messages.notDispatched)}</p>
+          </div>
+        `;
+
+        if (unshipped.length > 0) {
+          html += `<div class="order-items"><h4>Items Ordered</h4>${this.renderLineItems(unshipped)}</div>`;
+        }
       }
-    } catch (error) {
-      console.error('Tracking lookup error:', error);
-      this.showError('Unable to lookup order. Please try again later.');
-    } finally {
-      this.setLoadingState(false);
+
+      html += '</div>';
+      return html;
     }
-  }
 
-  async lookupOrder(orderNumber, contactInfo) {
-    const response = await fetch(`${this.apiBaseUrl}/lookup/${this.shopDomain}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      body: JSON.stringify({
-        orderNumber: orderNumber,
-        email: contactInfo.includes('@') ? contactInfo : null,
-        phone: !contactInfo.includes('@') ? contactInfo : null
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `HTTP ${response.status}`);
+    renderError(message, { title = '', help = this.messages.notFoundHelp } = {}) {
+      return `
+        <div class="tracking-error">
+          ${title ? `<h3 class="error-title">${this.escape(title)}</h3>` : ''}
+          <p class="error-message">${this.escape(message)}</p>
+          ${help ? `<p class="error-help">${this.escape(help)}</p>` : ''}
+        </div>
+      `;
     }
-    
-    return await response.json();
-  }
 
-  setLoadingState(loading) {
-    this.loadingState = loading;
-    
-    const submitBtn = this.form.querySelector('button[type="submit"], input[type="submit"]');
-    const loadingIndicator = this.form.querySelector('.loading-indicator');
-    
-    if (submitBtn) {
-      submitBtn.disabled = loading;
-      submitBtn.textContent = loading ? 'Looking up...' : 'Track Order';
+    renderProducts(products) {
+      let html = '';
+      products.forEach(product => {
+        const image = this.safeUrl(product.featured_image);
+        html += `
+          <div class="product-card">
+            ${image ? `<img src="${this.escape(image)}" alt="${this.escape(product.title)}" class="product-image" loading="lazy">` : ''}
+            <h4 class="product-title">${this.escape(product.title)}</h4>
+            <p class="product-price">${this.escape(this.formatPrice(product.price))}</p>
+            <a href="${this.escape(this.safeUrl(product.url) || '#')}" class="product-link">View Product</a>
+          </div>
+        `;
+      });
+
+      return html;
     }
-    
-    if (loadingIndicator) {
-      loadingIndicator.style.display = loading ? 'block' : 'none';
+
+    /**
+     * Split the order's line items into the packages they shipped in and the
+     * remainder that hasn't shipped yet. Fulfillment line items only carry
+     * the shipped quantity, so images and variants come from the order.
+     * Returns { packages: [{ fulfillment, items }], unshipped: [items] }
+     */
+    groupLineItems(order) {
+      const orderItems = order.line_items || [];
+      const itemsById = new Map(orderItems.map(item => [String(item.id), item]));
+      const shipped = new Map();
+
+      const packages = (order.fulfillments || [])
+        .filter(fulfillment => !['cancelled', 'error', 'failure'].includes(fulfillment.status))
+        .map(fulfillment => ({
+          fulfillment,
+          items: (fulfillment.line_items || []).map(item => {
+            const orderItem = itemsById.get(String(item.id)) || {};
+            shipped.set(String(item.id), (shipped.get(String(item.id)) || 0) + item.quantity);
+            return { ...orderItem, ...item, image: orderItem.image, variant_title: orderItem.variant_title };
+          })
+        }));
+
+      // fulfillable_quantity also leaves out removed items; older responses
+      // without it fall back to what the packages account for
+      const unshipped = orderItems
+        .map(item => ({
+          ...item,
+          quantity: item.fulfillable_quantity ?? item.quantity - (shipped.get(String(item.id)) || 0)
+        }))
+        .filter(item => item.quantity > 0);
+
+      return { packages, unshipped };
     }
-    
-    // Add loading class to form
-    this.form.classList.toggle('loading', loading);
-  }
 
-  showSuccess(order) {
-    if (!this.resultsContainer) return;
-    
-    const hasTracking = order.fulfillments && order.fulfillments.length > 0;
-    
-    let html = `
-      <div class="tracking-success">
-        <div class="order-info">
-          <h3>Order ${order.name || order.order_number}</h3>
-          <p class="order-date">Placed on ${this.formatDate(order.created_at)}</p>
-          <p class="order-status">
-            <span class="status-badge status-${order.fulfillment_status}">
-              ${this.formatStatus(order.fulfillment_status)}
-            </span>
-          </p>
-        </div>
-    `;
-    
-    if (hasTracking) {
-      html += '<div class="tracking-info">';
-      order.fulfillments.forEach(fulfillment => {
+    renderLineItems(items, className = '') {
+      if (!items || items.length === 0) return '';
+
+      let html = `<ul class="${this.escape(className)}">`;
+      items.forEach(item => {
+        const image = this.safeUrl(item.image);
         html += `
-          <div class="fulfillment">
-            <h4>Shipment Details</h4>
-            ${fulfillment.tracking_company ? `<p><strong>Carrier:</strong> ${fulfillment.tracking_company}</p>` : ''}
-            ${fulfillment.tracking_number ? `<p><strong>Tracking Number:</strong> ${fulfillment.tracking_number}</p>` : ''}
-            ${fulfillment.tracking_url ? `<p><a href="${fulfillment.tracking_url}" target="_blank" class="tracking-link">Track Package</a></p>` : ''}
-            <p class="fulfillment-date">Shipped on ${this.formatDate(fulfillment.created_at)}</p>
-          </div>
+          <li>
+            ${image ? `<img src="${this.escape(image)}" alt="" class="line-item-image" loading="lazy">` : ''}
+            <span class="line-item-title">${this.escape(item.quantity)}x ${this.escape(item.title)}${item.variant_title ? ` (${this.escape(item.variant_title)})` : ''}</span>
+          </li>
         `;
       });
-      html += '</div>';
-    } else {
-      html += `
-        <div class="no-tracking">
-          <p>Your order has been received and is being processed. You'll receive tracking information once it ships.</p>
-        </div>
-      `;
+      html += '</ul>';
+
+      return html;
     }
-    
-    // Add line items
-    if (order.line_items && order.line_items.length > 0) {
-      html += '<div class="order-items"><h4>Items Ordered</h4><ul>';
-      order.line_items.forEach(item => {
-        html += `<li>${item.quantity}x ${item.title}</li>`;
+
+    hasLiveTracking(fulfillment) {
+      return Boolean(fulfillment.tracking?.success && fulfillment.tracking.isLiveData);
+    }
+
+    // Carrier link-out, for shipments without live data
+    renderTrackingLink(fulfillment) {
+      const url = this.safeUrl(fulfillment.tracking_url);
+      if (!url) return '';
+      return `<p><a href="${this.escape(url)}" target="_blank" rel="noopener noreferrer" class="tracking-link">Track Package</a></p>`;
+    }
+
+    /**
+     * Progress of one shipment through ordered → shipped → in transit →
+     * out for delivery → delivered, with the date each step was reached.
+     * An exception or return marks the step the shipment is stuck before.
+     */
+    getShipmentProgress(order, fulfillment) {
+      const steps = [
+        { label: 'Ordered', date: order.created_at },
+        { label: 'Shipped', date: fulfillment.created_at },
+        { label: 'In Transit', statuses: ['picked_up', 'in_transit'] },
+        { label: 'Out for Delivery', statuses: ['out_for_delivery'] },
+        { label: 'Delivered', statuses: ['delivered'] }
+      ];
+      const tracking = fulfillment.tracking;
+      const events = tracking.events || [];
+
+      // Events are newest first, so the last match is when a step was reached
+      steps.forEach(step => {
+        if (!step.statuses) return;
+        const reached = events.filter(event => step.statuses.includes(event.status));
+        step.date = reached.length > 0 ? reached[reached.length - 1].timestamp : null;
       });
-      html += '</ul></div>';
+
+      let current = 1;
+      steps.forEach((step, index) => {
+        if (index > 1 && (step.date || step.statuses.includes(tracking.status))) current = index;
+      });
+
+      const problem = ['exception', 'returned'].includes(tracking.status);
+      const finished = problem || tracking.status === 'delivered';
+
+      return steps.map((step, index) => ({
+        label: problem && index === current + 1 ? tracking.statusLabel : step.label,
+        date: index <= current ? step.date : null,
+        state: index < current ? 'complete'
+          : index === current ? (finished ? 'complete' : 'current')
+          : problem && index === current + 1 ? 'problem'
+          : 'upcoming'
+      }));
     }
-    
-    html += '</div>';
-    
-    this.resultsContainer.innerHTML = html;
-    this.resultsContainer.style.display = 'block';
-    
-    // Scroll to results
-    this.resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
-  }
 
-  showError(message) {
-    if (!this.resultsContainer) return;
-    
-    this.resultsContainer.innerHTML = `
-      <div class="tracking-error">
-        <p class="error-message">${message}</p>
-        <p class="error-help">Please check your order number and contact information, then try again.</p>
-      </div>
-    `;
-    this.resultsContainer.style.display = 'block';
+    renderShipmentProgress(order, fulfillment) {
+      let html = '<ol class="shipment-progress">';
+      this.getShipmentProgress(order, fulfillment).forEach(step => {
+        html += `
+          <li class="progress-step progress-step-${step.state}">
+            <span class="progress-marker"></span>
+            <span class="progress-label">${this.escape(step.label)}</span>
+            ${step.date ? `<time class="progress-date" datetime="${this.escape(step.date)}">${this.escape(this.formatDate(step.date))}</time>` : ''}
+          </li>
+        `;
+      });
+      html += '</ol>';
+
+      return html;
+    }
+
+    /**
+     * Render live carrier status and events for one shipment
+     * Uses the canonical tracking model returned by the server:
+     * { status, statusLabel, estimatedDelivery, events: [{ timestamp, location, status, description }] }
+     */
+    renderShipmentTracking(tracking) {
+      if (!tracking.isLiveData) return '';
+
+      let html = `
+        <p class="shipment-status">
+          <span class="status-badge shipment-status-${this.escape(tracking.status)}">${this.escape(tracking.statusLabel)}</span>
+        </p>
+      `;
+
+      if (tracking.estimatedDelivery && tracking.status !== 'delivered') {
+        html += `<p class="estimated-delivery"><strong>Estimated Delivery:</strong> ${this.escape(this.formatDate(tracking.estimatedDelivery))}</p>`;
+      }
+
+      if (tracking.events && tracking.events.length > 0) {
+        html += '<ol class="tracking-events">';
+        tracking.events.forEach(event => {
+          const location = this.formatLocation(event.location);
+          html += `
+            <li class="tracking-event tracking-event-${this.escape(event.status)}">
+              <span class="event-description">${this.escape(event.description)}</span>
+              ${location ? `<span class="event-location">${this.escape(location)}</span>` : ''}
+              <time class="event-time" datetime="${this.escape(event.timestamp)}">${this.escape(this.formatDateTime(event.timestamp))}</time>
+            </li>
+          `;
+        });
+        html += '</ol>';
+      }
+
+      return html;
+    }
+
+    // Escape a value for use in HTML text or a quoted attribute
+    escape(value) {
+      if (value === null || value === undefined) return '';
+
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    }
+
+    // Only http(s) URLs are linked or loaded; anything else (javascript:,
+    // data:, ...) is dropped
+    safeUrl(url) {
+      if (!url) return '';
+
+      try {
+        const parsed = new URL(String(url), window.location.href);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : '';
+      } catch (error) {
+        return '';
+      }
+    }
+
+    formatDate(dateString) {
+      if (!dateString) return '';
+
+      try {
+        const date = new Date(dateString);
+        return date.toLocaleDateString(this.locale, {
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric'
+        });
+      } catch (error) {
+        return dateString;
+      }
+    }
+
+    formatDateTime(dateString) {
+      if (!dateString) return '';
+
+      try {
+        const date = new Date(dateString);
+        return date.toLocaleString(this.locale, {
+          year: 'numeric',
+          month: 'short',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: '2-digit'
+        });
+      } catch (error) {
+        return dateString;
+      }
+    }
+
+    // Product prices come back as plain amounts in the shop's currency
+    formatPrice(amount) {
+      const currency = window.Shopify?.currency?.active;
+      if (!currency || isNaN(parseFloat(amount))) return amount;
+
+      try {
+        return new Intl.NumberFormat(this.locale, { style: 'currency', currency }).format(amount);
+      } catch (error) {
+        return amount;
+      }
+    }
+
+    formatLocation(location) {
+      if (!location) return '';
+      return [location.city, location.state, location.country].filter(Boolean).join(', ');
+    }
+
+    formatStatus(status) {
+      const statusMap = {
+        'fulfilled': 'Shipped',
+        'partial': 'Partially Shipped',
+        'unfulfilled': 'Processing',
+        'pending': 'Pending',
+        'cancelled': 'Cancelled'
+      };
+
+      return statusMap[status] || status;
+    }
   }
 
-  formatDate(dateString) {
-    if (!dateString) return '';
-    
-    try {
-      const date = new Date(dateString);
-      return date.toLocaleDateString(undefined, {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+  /**
+   * One tracking form and its results
+   *
+   * Options:
+   * - form: the lookup form (order_number plus contact_info, email or phone)
+   * - resultsContainer: element results are rendered into
+   * - shopDomain, locale
+   * - source: 'tracking_page' or 'tracking_block', sent with analytics
+   * - messages: overrides for DEFAULT_MESSAGES
+   * - recommendations: { container, grid, limit } to show recommended products
+   * - autoFocus: focus the first input once bound
+   */
+  class OrderTracker {
+    constructor(options = {}) {
+      this.form = options.form || null;
+      this.resultsContainer = options.resultsContainer ||
+        this.form?.querySelector('.tracking-results') ||
+        document.querySelector('.tracking-results');
+      this.recommendations = options.recommendations || null;
+      this.autoFocus = options.autoFocus || false;
+      this.loadingState = false;
+
+      const shopDomain = options.shopDomain || this.form?.dataset.shopDomain || window.Shopify?.shop || '';
+      this.api = new TrackingApi({ shopDomain, baseUrl: options.apiBaseUrl, source: options.source });
+      this.renderer = new TrackingRenderer({
+        locale: options.locale || window.Shopify?.locale || document.documentElement.lang || undefined,
+        messages: options.messages
       });
-    } catch (error) {
-      return dateString;
+
+      if (this.form) this.bindForm();
     }
-  }
 
-  formatStatus(status) {
-    const statusMap = {
-      'fulfilled': 'Shipped',
-      'partial': 'Partially Shipped',
-      'unfulfilled': 'Processing',
-      'pending': 'Pending',
-      'cancelled': 'Cancelled'
-    };
-    
-    return statusMap[status] || status;
-  }
+    /**
+     * Options for a theme tracking block, read from the data attributes of
+     * its root element
+     * @param {Element} root - .tracking-block element
+     */
+    static fromBlock(root) {
+      const data = root.dataset;
+      const recommendations = root.querySelector('.recommended-products-block');
 
-  async recordAnalytics(orderNumber) {
-    try {
-      await fetch(`${this.apiBaseUrl}/analytics/${this.shopDomain}/view`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
+      return new OrderTracker({
+        form: root.querySelector('.tracking-block-form'),
+        resultsContainer: root.querySelector('.tracking-block-results'),
+        shopDomain: data.shopDomain,
+        source: 'tracking_block',
+        messages: {
+          trackingFound: data.trackingFoundMessage,
+          notDispatched: data.notDispatchedMessage,
+          notFoundTitle: data.errorTitle,
+          notFound: data.errorMessage,
+          notFoundHelp: data.errorMessage ? '' : undefined
         },
-        body: JSON.stringify({
-          order_number: orderNumber,
-          page_type: 'tracking_lookup'
-        })
+        recommendations: recommendations && {
+          container: recommendations,
+          grid: recommendations.querySelector('.products-grid'),
+          limit: parseInt(data.recommendedProductsCount) || 4
+        }
       });
-    } catch (error) {
-      // Analytics failure shouldn't affect user experience
-      console.warn('Analytics recording failed:', error);
+    }
+
+    bindForm() {
+      this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+      if (this.autoFocus) {
+        const firstInput = this.form.querySelector('input[type="text"], input[type="email"], input[type="tel"]');
+        if (firstInput) firstInput.focus();
+      }
+    }
+
+    async handleSubmit(event) {
+      event.preventDefault();
+
+      if (this.loadingState) return;
+
+      const formData = new FormData(this.form);
+      const orderNumber = formData.get('order_number')?.trim();
+      const contactInfo = (formData.get('contact_info') || formData.get('email') || formData.get('phone'))?.trim();
+
+      // Validation
+      if (!orderNumber) {
+        this.showError('Please enter your order number');
+        return;
+      }
+
+      if (!contactInfo) {
+        this.showError('Please enter your email address or phone number');
+        return;
+      }
+
+      // Show loading state
+      this.setLoadingState(true);
+
+      try {
+        const result = await this.api.lookup(orderNumber, contactInfo);
+
+        if (result.success && result.order) {
+          this.showSuccess(result.order);
+          this.showRecommendations();
+          this.api.track('order_lookup_success', {
+            order_number: orderNumber,
+            has_tracking: Boolean(result.order.fulfillments?.length)
+          });
+        } else {
+          const { messages } = this.renderer;
+          this.showError(messages.notFound || result.error || 'Order not found or contact information does not match', {
+            title: messages.notFoundTitle
+          });
+          this.api.track('order_lookup_failed', { order_number: orderNumber, error: result.error || 'Order not found' });
+        }
+      } catch (error) {
+        console.error('Tracking lookup error:', error);
+        this.showError(this.renderer.messages.lookupFailed, { help: '' });
+        this.api.track('order_lookup_error', { order_number: orderNumber, error: error.message });
+      } finally {
+        this.setLoadingState(false);
+      }
+    }
+
+    setLoadingState(loading) {
+      this.loadingState = loading;
+
+      const submitBtn = this.form.querySelector('button[type="submit"], input[type="submit"]');
+      const loadingIndicator = this.form.querySelector('.loading-indicator');
+
+      if (submitBtn) {
+        submitBtn.disabled = loading;
+
+        // Blocks carry their own labels; plain buttons get theirs swapped
+        const btnText = submitBtn.querySelector('.btn-text');
+        const btnLoading = submitBtn.querySelector('.btn-loading');
+        if (btnText && btnLoading) {
+          btnText.style.display = loading ? 'none' : 'inline';
+          btnLoading.style.display = loading ? 'inline' : 'none';
+        } else {
+          submitBtn.textContent = loading ? 'Looking up...' : 'Track Order';
+        }
+      }
+
+      if (loadingIndicator) {
+        loadingIndicator.style.display = loading ? 'block' : 'none';
+      }
+
+      // Add loading class to form
+      this.form.classList.toggle('loading', loading);
+    }
+
+    showSuccess(order) {
+      if (!this.resultsContainer) return;
+
+      this.resultsContainer.innerHTML = this.renderer.renderOrder(order);
+      this.resultsContainer.style.display = 'block';
+
+      // Scroll to results
+      this.resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    showError(message, options) {
+      if (!this.resultsContainer) return;
+
+      this.resultsContainer.innerHTML = this.renderer.renderError(message, options);
+      this.resultsContainer.style.display = 'block';
+    }
+
+    async showRecommendations() {
+      const { container, grid, limit } = this.recommendations || {};
+      if (!container || !grid) return;
+
+      try {
+        const products = await this.api.getRecommendedProducts(limit);
+        if (products.length === 0) return;
+
+        grid.innerHTML = this.renderer.renderProducts(products.slice(0, limit));
+        container.style.display = 'block';
+      } catch (error) {
+        console.error('Error loading recommended products:', error);
+      }
     }
   }
-}
-
-// Auto-initialize when script loads
-if (typeof window !== 'undefined') {
-  window.OrderTracker = OrderTracker;
-  
-  // Auto-initialize if tracking forms are present
-  const autoInit = () => {
-    const trackingForms = document.querySelectorAll('.tracking-form, [data-tracking-form]');
-    if (trackingForms.length > 0) {
-      new OrderTracker();
+
+  OrderTracker.TrackingApi = TrackingApi;
+  OrderTracker.TrackingRenderer = TrackingRenderer;
+
+  // Auto-initialize when script loads
+  if (typeof window !== 'undefined') {
+    window.OrderTracker = OrderTracker;
+
+    // Standalone tracking page forms and theme tracking blocks
+    const autoInit = () => {
+      document.querySelectorAll('.tracking-form, [data-tracking-form]').forEach(form => {
+        if (!form.dataset.trackingInitialized) {
+          form.dataset.trackingInitialized = 'true';
+          new OrderTracker({ form, autoFocus: true });
+        }
+      });
+
+      document.querySelectorAll('[data-app="smart-order-tracking-block"]').forEach(root => {
+        if (!root.dataset.trackingInitialized) {
+          root.dataset.trackingInitialized = 'true';
+          OrderTracker.fromBlock(root);
+        }
+      });
+    };
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', autoInit);
+    } else {
+      autoInit();
     }
-  };
-  
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', autoInit);
-  } else {
-    autoInit();
   }
-}
 
-// Export for module systems
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = OrderTracker;
-}
\ No newline at end of file
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderTracker;
+  }
+})();
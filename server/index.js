@@ -19,6 +19,8 @@ if (!process.env.SHOPIFY_API_KEY) {
   require('dotenv').config({ path: '../.env.production' });
 }
 
+const { isStorefrontRequest } = require('./middleware/appProxy');
+
 // Debug logging for environment variables
 console.log('Environment check:');
 console.log('NODE_ENV:', process.env.NODE_ENV);
@@ -31,7 +33,7 @@ const PORT = process.env.PORT || 3001;
 const shopify = shopifyApi({
   apiKey: process.env.SHOPIFY_API_KEY,
   apiSecretKey: process.env.SHOPIFY_API_SECRET,
-  scopes: process.env.SCOPES?.split(',') || ['read_orders', 'write_orders', 'read_fulfillments'],
+  scopes: process.env.SCOPES?.split(',') || ['read_orders', 'write_orders', 'read_fulfillments', 'write_fulfillments'],
   hostName: process.env.HOST?.replace(/https?:\/\//, '') || 'localhost',
   apiVersion: LATEST_API_VERSION,
   isEmbeddedApp: true,
@@ -69,6 +71,9 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false,
 }));
 app.use(cors());
+// Webhooks read the raw body for HMAC verification, so they go before the
+// JSON parser; subscriptions are registered after OAuth (shopInstallService)
+app.use('/api/webhooks', require('./routes/webhooks'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -88,38 +93,37 @@ app.use(express.urlencoded({ extended: true }));
     // Apply auth middleware
     app.use('/api/auth', shopifyAppInstance.auth.begin());
     app.use('/api/auth/callback', shopifyAppInstance.auth.callback(), async (req, res, next) => {
-      // After successful OAuth, persist the access token to database
+      // After successful OAuth, persist the shop session (token, scopes, shop details)
       try {
         const session = res.locals.shopify?.session;
         if (session && session.shop && session.accessToken) {
-          console.log('💾 Persisting access token for shop:', session.shop);
-          const Database = require('./models/Database');
-          await Database.storeShopData(session.shop, session.accessToken, {
-            name: session.shop,
-            email: null // We don't have email from session
-          });
-          console.log('✅ Access token persisted successfully');
+          console.log('💾 Persisting shop session for shop:', session.shop);
+          const shopInstallService = require('./services/shopInstallService');
+          await shopInstallService.completeInstall(session.shop, session.accessToken, session.scope);
+          console.log('✅ Shop session persisted successfully');
         } else {
           console.log('⚠️ No valid session found after OAuth callback');
         }
       } catch (error) {
-        console.error('❌ Error persisting access token:', error);
+        console.error('❌ Error persisting shop session:', error);
       }
       next();
-    });
-    
-    // Apply webhook processing with empty handlers for now
-    app.use('/api/webhooks', shopifyAppInstance.processWebhooks({ webhookHandlers: {} }));
+    }, shopifyAppInstance.redirectToShopifyOrAppRoot());
     
-    // Apply session validation middleware to all API routes
-    app.use('/api/*', shopifyAppInstance.validateAuthenticatedSession());
+    // Apply session validation middleware to all API routes except the
+    // storefront ones, which verify the app proxy signature instead
+    const validateAuthenticatedSession = shopifyAppInstance.validateAuthenticatedSession();
+    app.use('/api/*', (req, res, next) => {
+      if (isStorefrontRequest(req)) return next();
+      validateAuthenticatedSession(req, res, next);
+    });
     
     // Ensure shop parameter is present for all API routes
     app.use('/api/*', (req, res, next) => {
       const shop = req.query.shop || req.headers['x-shopify-shop-domain'];
       
-      // Skip validation for auth routes and health check
-      if (req.path.startsWith('/api/auth') || req.path === '/api/health') {
+      // Skip validation for auth routes, health check and storefront routes
+      if (req.path.startsWith('/api/auth') || req.path === '/api/health' || isStorefrontRequest(req)) {
         return next();
       }
       
@@ -214,13 +218,14 @@ app.get('/api/orders', async (req, res) => {
     
     const options = {
       limit: parseInt(req.query.limit) || 50,
-      status: req.query.status || 'any'
+      status: req.query.status || 'any',
+      after: req.query.cursor
     };
     
     const result = await shopifyService.getOrders(shop, accessToken, options);
     
     if (result.success) {
-      res.json({ orders: result.orders });
+      res.json({ orders: result.orders, pageInfo: result.pageInfo });
     } else {
       console.error('❌ Failed to fetch orders:', result.error);
       res.status(500).json({ 
@@ -310,12 +315,37 @@ app.post('/api/orders/lookup', async (req, res) => {
   }
 });
 
+// Shop install state; the admin prompts to re-authorize when reauthRequired
+// (e.g. after SCOPES changed)
+app.get('/api/shop/status', async (req, res) => {
+  const shopInstallService = require('./services/shopInstallService');
+  const shop = req.query.shop || req.headers['x-shopify-shop-domain'];
+
+  if (!shopInstallService.isValidShopDomain(shop)) {
+    return res.status(400).json({ success: false, error: 'Missing or invalid shop parameter' });
+  }
+
+  try {
+    const status = await shopInstallService.getStatus(shop);
+    res.json({
+      success: true,
+      shop,
+      ...status,
+      reauthUrl: status.reauthRequired ? `${process.env.HOST || ''}/api/auth?shop=${encodeURIComponent(shop)}` : null
+    });
+  } catch (error) {
+    console.error('❌ Error fetching shop status:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch shop status' });
+  }
+});
+
 // Settings endpoints are handled by the routes/settings.js file
 
 // Legacy API Routes (for compatibility)
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/settings', require('./routes/settings'));
 app.use('/api/tracking', require('./routes/tracking'));
+app.use('/api/compliance', require('./routes/compliance'));
 
 // Note: Static files are served by Netlify in production
 // Frontend and backend are deployed separately
@@ -345,9 +375,14 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Health check endpoint
+// Health check endpoint, including carrier API circuit state
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  const trackingService = require('./services/trackingService');
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    carriers: trackingService.getCarrierHealth()
+  });
 });
 
 // Error handling middleware
@@ -363,6 +398,10 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`🚀 Smart Order Tracking app is running on port ${PORT}`);
   console.log(`📱 Admin URL: ${process.env.HOST}/api/auth`);
+
+  require('./services/shipmentPoller').start();
+  require('./services/complianceService').start();
+  require('./services/orderSyncService').start();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,84 @@
+const shopifyService = require('../services/shopifyService');
+
+// Storefront endpoints: reached by customers through the app proxy, so they
+// carry a proxy signature instead of an admin session
+const STOREFRONT_ROUTES = [
+  /^\/api\/tracking\/(lookup|products|settings)\/[^/]+\/?$/,
+  /^\/api\/tracking\/analytics\//
+];
+
+/**
+ * App proxy verification for storefront endpoints
+ *
+ * Shopify forwards /apps/smart-order-tracking/* from the storefront to the
+ * backend with the shop and an HMAC `signature` in the query string. Only
+ * the signed shop is trusted: it is set as req.shopDomain, and a :shopDomain
+ * route parameter naming another shop is rejected.
+ *
+ * Unsigned requests are rejected unless APP_PROXY_ALLOW_UNSIGNED=true, for
+ * local development without a proxy; the shop then comes from the route,
+ * body (shop_domain) or X-Shop-Domain header. It is never honoured in
+ * production.
+ */
+function verifyAppProxy(req, res, next) {
+  const requestedShop = req.params.shopDomain;
+
+  if (req.query.signature === undefined) {
+    if (!allowUnsigned()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Missing app proxy signature'
+      });
+    }
+
+    const shop = requestedShop || req.body?.shop_domain || req.get('X-Shop-Domain');
+    if (!shop) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shop domain not found'
+      });
+    }
+
+    req.shopDomain = shop;
+    return next();
+  }
+
+  if (!shopifyService.validateProxySignature(req.query) || typeof req.query.shop !== 'string') {
+    console.log(`❌ Rejected app proxy request with invalid signature: ${req.path}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid app proxy signature'
+    });
+  }
+
+  const shop = req.query.shop.toLowerCase();
+  if (requestedShop && requestedShop.toLowerCase() !== shop) {
+    console.log(`❌ Rejected app proxy request from ${shop} for ${requestedShop}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Shop does not match the signed request'
+    });
+  }
+
+  req.shopDomain = shop;
+  next();
+}
+
+// Whether a request targets a storefront endpoint; these skip the admin
+// session check and are verified by verifyAppProxy instead
+function isStorefrontRequest(req) {
+  const path = req.originalUrl.split('?')[0];
+  return STOREFRONT_ROUTES.some(route => route.test(path));
+}
+
+function allowUnsigned() {
+  return process.env.APP_PROXY_ALLOW_UNSIGNED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+if (process.env.APP_PROXY_ALLOW_UNSIGNED === 'true') {
+  console.log(process.env.NODE_ENV === 'production'
+    ? '⚠️ APP_PROXY_ALLOW_UNSIGNED is ignored in production'
+    : '⚠️ App proxy signatures are not required (APP_PROXY_ALLOW_UNSIGNED=true)');
+}
+
+module.exports = { verifyAppProxy, isStorefrontRequest };
@@ -0,0 +1,146 @@
+/**
+ * Baseline schema
+ *
+ * The tables created by Database.createTables() and storeShopData() before
+ * migrations existed. Everything uses IF NOT EXISTS, so existing installs
+ * adopt this migration without changes.
+ */
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS merchant_settings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shop_domain TEXT UNIQUE NOT NULL,
+      tracking_page_enabled BOOLEAN DEFAULT 1,
+      tracking_block_enabled BOOLEAN DEFAULT 0,
+      page_title TEXT DEFAULT 'Track Your Order',
+      not_dispatched_message TEXT DEFAULT 'Your order has not been dispatched yet. We will notify you once it ships.',
+      tracking_found_message TEXT DEFAULT 'Your tracking information:',
+      show_recommended_products BOOLEAN DEFAULT 0,
+      show_faq BOOLEAN DEFAULT 0,
+      custom_faq_text TEXT DEFAULT '',
+      banner_text TEXT DEFAULT '',
+      logo_url TEXT DEFAULT '',
+      primary_color TEXT DEFAULT '#000000',
+      background_color TEXT DEFAULT '#ffffff',
+      text_color TEXT DEFAULT '#333333',
+      button_color TEXT DEFAULT '#007ace',
+      button_text_color TEXT DEFAULT '#ffffff',
+      font_family TEXT DEFAULT 'inherit',
+      border_radius TEXT DEFAULT '4px',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS tracking_analytics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shop_domain TEXT NOT NULL,
+      order_number TEXT,
+      user_agent TEXT,
+      ip_address TEXT,
+      viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS shop_data (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shop_domain TEXT UNIQUE NOT NULL,
+      access_token TEXT NOT NULL,
+      shop_name TEXT,
+      shop_email TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS tracking_cache (
+      cache_key TEXT PRIMARY KEY,
+      carrier TEXT,
+      tracking_number TEXT NOT NULL,
+      status TEXT,
+      data TEXT NOT NULL,
+      fetched_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL,
+      stale_until DATETIME NOT NULL
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS carrier_api_usage (
+      carrier TEXT NOT NULL,
+      credential_id TEXT NOT NULL,
+      usage_date TEXT NOT NULL,
+      requests INTEGER DEFAULT 0,
+      rejected INTEGER DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (carrier, credential_id, usage_date)
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS shipments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shop_domain TEXT NOT NULL,
+      order_id TEXT,
+      fulfillment_id TEXT,
+      carrier TEXT,
+      tracking_number TEXT NOT NULL,
+      status TEXT DEFAULT 'unknown',
+      estimated_delivery TEXT,
+      delivered_at DATETIME,
+      last_event_at DATETIME,
+      last_polled_at DATETIME,
+      next_poll_at DATETIME,
+      polling_stopped_at DATETIME,
+      stop_reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (shop_domain, tracking_number)
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS tracking_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shipment_id INTEGER NOT NULL,
+      occurred_at DATETIME NOT NULL,
+      status TEXT NOT NULL,
+      carrier_status_code TEXT,
+      description TEXT,
+      location TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (shipment_id, occurred_at, status, description),
+      FOREIGN KEY (shipment_id) REFERENCES shipments (id)
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduler_locks (
+      name TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      expires_at DATETIME NOT NULL
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_shipments_order ON shipments (shop_domain, order_id)');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_shipments_polling ON shipments (polling_stopped_at, next_poll_at)');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_shipments_status ON shipments (shop_domain, status)');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_tracking_events_timeline ON tracking_events (shipment_id, occurred_at)');
+}
+
+async function down(db) {
+  const tables = [
+    'scheduler_locks', 'tracking_events', 'shipments', 'carrier_api_usage',
+    'tracking_cache', 'shop_data', 'tracking_analytics', 'merchant_settings'
+  ];
+
+  for (const table of tables) {
+    await db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+/**
+ * Key ID for encrypted shop access tokens
+ *
+ * Rows without a key ID hold a plaintext token written before encryption;
+ * `npm run keys:rotate` encrypts them.
+ */
+
+async function up(db) {
+  await db.exec('ALTER TABLE shop_data ADD COLUMN access_token_key_id TEXT');
+}
+
+// Tokens encrypted by then can't be decrypted without their key ID; affected
+// shops have to reinstall the app
+async function down(db) {
+  await db.exec('ALTER TABLE shop_data DROP COLUMN access_token_key_id');
+}
+
+module.exports = { up, down };
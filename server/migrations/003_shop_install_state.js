@@ -0,0 +1,30 @@
+/**
+ * Shop install state
+ *
+ * Granted scopes and shop details saved by the OAuth callback, and whether
+ * the app is currently installed (cleared by the app/uninstalled webhook).
+ */
+
+const COLUMNS = [
+  ['scopes', 'TEXT'],
+  ['shop_locale', 'TEXT'],
+  ['shop_currency', 'TEXT'],
+  ['is_active', 'BOOLEAN DEFAULT 1'],
+  ['installed_at', 'DATETIME'],
+  ['uninstalled_at', 'DATETIME']
+];
+
+async function up(db) {
+  for (const [column, type] of COLUMNS) {
+    await db.exec(`ALTER TABLE shop_data ADD COLUMN ${column} ${type}`);
+  }
+  await db.exec('UPDATE shop_data SET installed_at = created_at WHERE installed_at IS NULL');
+}
+
+async function down(db) {
+  for (const [column] of [...COLUMNS].reverse()) {
+    await db.exec(`ALTER TABLE shop_data DROP COLUMN ${column}`);
+  }
+}
+
+module.exports = { up, down };
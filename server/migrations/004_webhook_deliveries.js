@@ -0,0 +1,26 @@
+/**
+ * Webhook deliveries
+ *
+ * Shopify delivers webhooks at least once and retries on errors; the
+ * X-Shopify-Webhook-Id of every processed delivery is kept for a while so
+ * repeats are skipped.
+ */
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      webhook_id TEXT PRIMARY KEY,
+      shop_domain TEXT NOT NULL,
+      topic TEXT NOT NULL,
+      received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received ON webhook_deliveries (received_at)');
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS webhook_deliveries');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+/**
+ * GDPR compliance
+ *
+ * Links tracking page views to the customer who made them (order ID and a
+ * hash of the email/phone used for the lookup, never the contact itself),
+ * stores order numbers on shipments so older views can be matched by order,
+ * and adds an audit log of data requests, redactions and shop purges.
+ */
+
+async function up(db) {
+  await db.exec('ALTER TABLE tracking_analytics ADD COLUMN order_id TEXT');
+  await db.exec('ALTER TABLE tracking_analytics ADD COLUMN contact_hash TEXT');
+  await db.exec('ALTER TABLE shipments ADD COLUMN order_number TEXT');
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS compliance_audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shop_domain TEXT NOT NULL,
+      action TEXT NOT NULL,
+      webhook_id TEXT,
+      customer_id TEXT,
+      records_affected INTEGER DEFAULT 0,
+      details TEXT,
+      export_data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_tracking_analytics_order ON tracking_analytics (shop_domain, order_number)');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_compliance_audit_log_shop ON compliance_audit_log (shop_domain, created_at)');
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS compliance_audit_log');
+  await db.exec('DROP INDEX IF EXISTS idx_tracking_analytics_order');
+  await db.exec('ALTER TABLE shipments DROP COLUMN order_number');
+  await db.exec('ALTER TABLE tracking_analytics DROP COLUMN contact_hash');
+  await db.exec('ALTER TABLE tracking_analytics DROP COLUMN order_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+/**
+ * Order sync
+ *
+ * Local copy of each shop's orders (summary fields only, no customer
+ * details), filled by a backfill of a date window and kept current by
+ * incremental syncs on updated_at, plus the per-shop sync progress shown in
+ * the admin.
+ */
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shop_domain TEXT NOT NULL,
+      order_id TEXT NOT NULL,
+      name TEXT,
+      order_number TEXT,
+      financial_status TEXT,
+      fulfillment_status TEXT,
+      total_price REAL DEFAULT 0,
+      currency TEXT,
+      order_created_at DATETIME NOT NULL,
+      order_updated_at DATETIME,
+      cancelled_at DATETIME,
+      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(shop_domain, order_id)
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS order_sync_state (
+      shop_domain TEXT PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'idle',
+      backfill_since DATETIME,
+      backfill_cursor TEXT,
+      backfill_position DATETIME,
+      backfill_completed_at DATETIME,
+      orders_synced INTEGER DEFAULT 0,
+      last_updated_at DATETIME,
+      last_synced_at DATETIME,
+      error TEXT,
+      started_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_orders_shop_created ON orders (shop_domain, order_created_at)');
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS order_sync_state');
+  await db.exec('DROP TABLE IF EXISTS orders');
+}
+
+module.exports = { up, down };
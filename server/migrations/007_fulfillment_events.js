@@ -0,0 +1,34 @@
+/**
+ * Fulfillment events
+ *
+ * Opt-in setting for writing tracking status changes back to Shopify as
+ * fulfillment events, and a record of the events created so each status is
+ * sent to a fulfillment only once.
+ */
+
+async function up(db) {
+  await db.exec('ALTER TABLE merchant_settings ADD COLUMN fulfillment_events_enabled BOOLEAN DEFAULT 0');
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS fulfillment_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shop_domain TEXT NOT NULL,
+      fulfillment_id TEXT NOT NULL,
+      shipment_id INTEGER,
+      status TEXT NOT NULL,
+      shopify_event_id TEXT,
+      happened_at TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(shop_domain, fulfillment_id, status)
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_fulfillment_events_shipment ON fulfillment_events (shipment_id)');
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS fulfillment_events');
+  await db.exec('ALTER TABLE merchant_settings DROP COLUMN fulfillment_events_enabled');
+}
+
+module.exports = { up, down };
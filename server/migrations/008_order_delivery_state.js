@@ -0,0 +1,31 @@
+/**
+ * Order delivery state
+ *
+ * Settings for which order metafields and tags reflect an order's delivery
+ * state in Shopify, and the last state written to each order so unchanged
+ * states aren't written again.
+ */
+
+async function up(db) {
+  await db.exec("ALTER TABLE merchant_settings ADD COLUMN order_metafields TEXT DEFAULT '[]'");
+  await db.exec("ALTER TABLE merchant_settings ADD COLUMN order_tags TEXT DEFAULT '[]'");
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS order_delivery_state (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shop_domain TEXT NOT NULL,
+      order_id TEXT NOT NULL,
+      written TEXT NOT NULL,
+      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(shop_domain, order_id)
+    )
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS order_delivery_state');
+  await db.exec('ALTER TABLE merchant_settings DROP COLUMN order_tags');
+  await db.exec('ALTER TABLE merchant_settings DROP COLUMN order_metafields');
+}
+
+module.exports = { up, down };
@@ -1,331 +1,1059 @@
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const Migrator = require('./Migrator');
+const encryption = require('../services/encryption');
+
+// Relative SQLite paths in DATABASE_URL are resolved from the repository root
+const ROOT_DIR = path.join(__dirname, '../..');
+const DEFAULT_SQLITE_PATH = path.join(ROOT_DIR, 'database.sqlite');
+
+/**
+ * Pick the storage driver for a DATABASE_URL
+ *   postgres://... or postgresql://...  PostgreSQL
+ *   sqlite:./file.sqlite, ./file.sqlite SQLite file (default: database.sqlite)
+ * @param {string} [databaseUrl] - Connection string
+ * @returns {Object} Storage driver
+ */
+function createStorage(databaseUrl) {
+  if (/^postgres(ql)?:\/\//.test(databaseUrl || '')) {
+    const PostgresStorage = require('./storage/PostgresStorage');
+    return new PostgresStorage(databaseUrl);
+  }
+
+  const SqliteStorage = require('./storage/SqliteStorage');
+  const filename = databaseUrl
+    ? path.resolve(ROOT_DIR, databaseUrl.replace(/^sqlite:(\/\/)?/, ''))
+    : DEFAULT_SQLITE_PATH;
+  return new SqliteStorage(filename);
+}
 
 class Database {
-  constructor() {
-    this.db = null;
+  constructor(storage) {
+    this.storage = storage;
+    this.ready = null;
     this.init();
   }
 
+  // Open the database and apply pending migrations. Safe to call again;
+  // later calls return the same promise. Set DATABASE_AUTO_MIGRATE=false to
+  // run migrations separately (npm run migrate).
   init() {
-    const dbPath = path.join(__dirname, '../../database.sqlite');
-    this.db = new sqlite3.Database(dbPath, (err) => {
-      if (err) {
-        console.error('Error opening database:', err.message);
-      } else {
-        console.log('Connected to SQLite database');
-        this.createTables();
-      }
-    });
-  }
+    if (this.ready) return this.ready;
 
-  createTables() {
-    const createSettingsTable = `
-      CREATE TABLE IF NOT EXISTS merchant_settings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        shop_domain TEXT UNIQUE NOT NULL,
-        tracking_page_enabled BOOLEAN DEFAULT 1,
-        tracking_block_enabled BOOLEAN DEFAULT 0,
-        page_title TEXT DEFAULT 'Track Your Order',
-        not_dispatched_message TEXT DEFAULT 'Your order has not been dispatched yet. We will notify you once it ships.',
-        tracking_found_message TEXT DEFAULT 'Your tracking information:',
-        show_recommended_products BOOLEAN DEFAULT 0,
-        show_faq BOOLEAN DEFAULT 0,
-        custom_faq_text TEXT DEFAULT '',
-        banner_text TEXT DEFAULT '',
-        logo_url TEXT DEFAULT '',
-        primary_color TEXT DEFAULT '#000000',
-        background_color TEXT DEFAULT '#ffffff',
-        text_color TEXT DEFAULT '#333333',
-        button_color TEXT DEFAULT '#007ace',
-        button_text_color TEXT DEFAULT '#ffffff',
-        font_family TEXT DEFAULT 'inherit',
-        border_radius TEXT DEFAULT '4px',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createAnalyticsTable = `
-      CREATE TABLE IF NOT EXISTS tracking_analytics (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        shop_domain TEXT NOT NULL,
-        order_number TEXT,
-        user_agent TEXT,
-        ip_address TEXT,
-        viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (shop_domain) REFERENCES merchant_settings (shop_domain)
-      )
-    `;
-
-    this.db.run(createSettingsTable, (err) => {
-      if (err) {
-        console.error('Error creating merchant_settings table:', err.message);
-      } else {
-        console.log('merchant_settings table ready');
-      }
+    this.ready = this.storage.open().then(() => {
+      if (process.env.DATABASE_AUTO_MIGRATE === 'false') return;
+      return new Migrator(this.storage).migrate();
     });
 
-    this.db.run(createAnalyticsTable, (err) => {
-      if (err) {
-        console.error('Error creating tracking_analytics table:', err.message);
-      } else {
-        console.log('tracking_analytics table ready');
-      }
-    });
+    this.ready.catch(error => console.error('Database startup failed:', error.message));
+    return this.ready;
   }
 
   // Get merchant settings
   async getSettings(shopDomain) {
-    return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM merchant_settings WHERE shop_domain = ?';
-      
-      this.db.get(query, [shopDomain], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          if (row) {
-            // Convert database row to camelCase object
-            const settings = {
-              id: row.id,
-              shopDomain: row.shop_domain,
-              trackingPageEnabled: Boolean(row.tracking_page_enabled),
-              trackingBlockEnabled: Boolean(row.tracking_block_enabled),
-              pageTitle: row.page_title,
-              notDispatchedMessage: row.not_dispatched_message,
-              trackingFoundMessage: row.tracking_found_message,
-              showRecommendedProducts: Boolean(row.show_recommended_products),
-              showFaq: Boolean(row.show_faq),
-              customFaqText: row.custom_faq_text,
-              bannerText: row.banner_text,
-              logoUrl: row.logo_url,
-              primaryColor: row.primary_color,
-              backgroundColor: row.background_color,
-              textColor: row.text_color,
-              buttonColor: row.button_color,
-              buttonTextColor: row.button_text_color,
-              fontFamily: row.font_family,
-              borderRadius: row.border_radius,
-              createdAt: row.created_at,
-              updatedAt: row.updated_at
-            };
-            resolve(settings);
-          } else {
-            resolve(null);
-          }
-        }
-      });
-    });
+    const query = 'SELECT * FROM merchant_settings WHERE shop_domain = ?';
+    const row = await this.storage.get(query, [shopDomain]);
+
+    if (!row) return null;
+
+    // Convert database row to camelCase object
+    return {
+      id: row.id,
+      shopDomain: row.shop_domain,
+      trackingPageEnabled: Boolean(row.tracking_page_enabled),
+      trackingBlockEnabled: Boolean(row.tracking_block_enabled),
+      pageTitle: row.page_title,
+      notDispatchedMessage: row.not_dispatched_message,
+      trackingFoundMessage: row.tracking_found_message,
+      showRecommendedProducts: Boolean(row.show_recommended_products),
+      showFaq: Boolean(row.show_faq),
+      customFaqText: row.custom_faq_text,
+      bannerText: row.banner_text,
+      logoUrl: row.logo_url,
+      primaryColor: row.primary_color,
+      backgroundColor: row.background_color,
+      textColor: row.text_color,
+      buttonColor: row.button_color,
+      buttonTextColor: row.button_text_color,
+      fontFamily: row.font_family,
+      borderRadius: row.border_radius,
+      fulfillmentEventsEnabled: Boolean(row.fulfillment_events_enabled),
+      orderMetafields: parseList(row.order_metafields),
+      orderTags: parseList(row.order_tags),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
   }
 
   // Update or create merchant settings
   async updateSettings(shopDomain, settingsData) {
-    return new Promise((resolve, reject) => {
-      const upsertQuery = `
-        INSERT OR REPLACE INTO merchant_settings (
-          shop_domain, tracking_page_enabled, tracking_block_enabled,
-          page_title, not_dispatched_message, tracking_found_message,
-          show_recommended_products, show_faq, custom_faq_text,
-          banner_text, logo_url, primary_color, background_color,
-          text_color, button_color, button_text_color, font_family,
-          border_radius, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-
-      const params = [
-        shopDomain,
-        settingsData.trackingPageEnabled ? 1 : 0,
-        settingsData.trackingBlockEnabled ? 1 : 0,
-        settingsData.pageTitle || 'Track Your Order',
-        settingsData.notDispatchedMessage || 'Your order has not been dispatched yet.',
-        settingsData.trackingFoundMessage || 'Your tracking information:',
-        settingsData.showRecommendedProducts ? 1 : 0,
-        settingsData.showFaq ? 1 : 0,
-        settingsData.customFaqText || '',
-        settingsData.bannerText || '',
-        settingsData.logoUrl || '',
-        settingsData.primaryColor || '#000000',
-        settingsData.backgroundColor || '#ffffff',
-        settingsData.textColor || '#333333',
-        settingsData.buttonColor || '#007ace',
-        settingsData.buttonTextColor || '#ffffff',
-        settingsData.fontFamily || 'inherit',
-        settingsData.borderRadius || '4px',
-        new Date().toISOString()
-      ];
-
-      this.db.run(upsertQuery, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          // Return the updated settings
-          resolve({
-            id: this.lastID,
-            shopDomain,
-            ...settingsData,
-            updatedAt: new Date().toISOString()
-          });
-        }
-      });
-    });
+    const columns = [
+      'tracking_page_enabled', 'tracking_block_enabled',
+      'page_title', 'not_dispatched_message', 'tracking_found_message',
+      'show_recommended_products', 'show_faq', 'custom_faq_text',
+      'banner_text', 'logo_url', 'primary_color', 'background_color',
+      'text_color', 'button_color', 'button_text_color', 'font_family',
+      'border_radius', 'fulfillment_events_enabled', 'order_metafields', 'order_tags',
+      'updated_at'
+    ];
+
+    const upsertQuery = `
+      INSERT INTO merchant_settings (shop_domain, ${columns.join(', ')})
+      VALUES (${['?', ...columns.map(() => '?')].join(', ')})
+      ON CONFLICT (shop_domain) DO UPDATE SET
+        ${columns.map(column => `${column} = excluded.${column}`).join(',\n        ')}
+      RETURNING id
+    `;
+
+    const params = [
+      shopDomain,
+      settingsData.trackingPageEnabled ? 1 : 0,
+      settingsData.trackingBlockEnabled ? 1 : 0,
+      settingsData.pageTitle || 'Track Your Order',
+      settingsData.notDispatchedMessage || 'Your order has not been dispatched yet.',
+      settingsData.trackingFoundMessage || 'Your tracking information:',
+      settingsData.showRecommendedProducts ? 1 : 0,
+      settingsData.showFaq ? 1 : 0,
+      settingsData.customFaqText || '',
+      settingsData.bannerText || '',
+      settingsData.logoUrl || '',
+      settingsData.primaryColor || '#000000',
+      settingsData.backgroundColor || '#ffffff',
+      settingsData.textColor || '#333333',
+      settingsData.buttonColor || '#007ace',
+      settingsData.buttonTextColor || '#ffffff',
+      settingsData.fontFamily || 'inherit',
+      settingsData.borderRadius || '4px',
+      settingsData.fulfillmentEventsEnabled ? 1 : 0,
+      JSON.stringify(parseList(settingsData.orderMetafields)),
+      JSON.stringify(parseList(settingsData.orderTags)),
+      new Date().toISOString()
+    ];
+
+    const row = await this.storage.get(upsertQuery, params);
+
+    // Return the updated settings
+    return {
+      id: row.id,
+      shopDomain,
+      ...settingsData,
+      updatedAt: new Date().toISOString()
+    };
   }
 
-  // Record analytics data
-  async recordView(shopDomain, orderNumber, userAgent, ipAddress) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT INTO tracking_analytics (shop_domain, order_number, user_agent, ip_address)
-        VALUES (?, ?, ?, ?)
-      `;
-
-      this.db.run(query, [shopDomain, orderNumber, userAgent, ipAddress], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID });
-        }
-      });
-    });
+  // Record analytics data; orderId and contactHash (see complianceService)
+  // tie the view to a customer for data requests and redaction
+  async recordView(shopDomain, orderNumber, userAgent, ipAddress, { orderId = null, contactHash = null } = {}) {
+    const query = `
+      INSERT INTO tracking_analytics (shop_domain, order_number, user_agent, ip_address, order_id, contact_hash)
+      VALUES (?, ?, ?, ?, ?, ?)
+      RETURNING id
+    `;
+
+    const row = await this.storage.get(query, [
+      shopDomain,
+      orderNumber,
+      userAgent,
+      ipAddress,
+      orderId != null ? String(orderId) : null,
+      contactHash
+    ]);
+    return { id: row.id };
   }
 
   // Get analytics data
   async getAnalytics(shopDomain, days = 30) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        SELECT 
-          COUNT(*) as total_views,
-          COUNT(DISTINCT ip_address) as unique_visitors,
-          COUNT(DISTINCT order_number) as unique_orders
-        FROM tracking_analytics 
-        WHERE shop_domain = ? 
-        AND viewed_at >= datetime('now', '-' || ? || ' days')
-      `;
-
-      this.db.get(query, [shopDomain, days], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({
-            totalViews: row.total_views || 0,
-            uniqueVisitors: row.unique_visitors || 0,
-            uniqueOrders: row.unique_orders || 0,
-            period: `${days}d`
-          });
-        }
-      });
-    });
+    const query = `
+      SELECT
+        COUNT(*) as total_views,
+        COUNT(DISTINCT ip_address) as unique_visitors,
+        COUNT(DISTINCT order_number) as unique_orders
+      FROM tracking_analytics
+      WHERE shop_domain = ?
+      AND viewed_at >= ${this.storage.daysAgo()}
+    `;
+
+    const row = await this.storage.get(query, [shopDomain, days]);
+
+    return {
+      totalViews: row.total_views || 0,
+      uniqueVisitors: row.unique_visitors || 0,
+      uniqueOrders: row.unique_orders || 0,
+      period: `${days}d`
+    };
   }
 
   // Get top searched orders
   async getTopSearchedOrders(shopDomain, days = 30, limit = 10) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        SELECT 
-          order_number,
-          COUNT(*) as views,
-          MAX(viewed_at) as last_viewed
-        FROM tracking_analytics 
-        WHERE shop_domain = ? 
-        AND order_number IS NOT NULL
-        AND viewed_at >= datetime('now', '-' || ? || ' days')
-        GROUP BY order_number
-        ORDER BY views DESC, last_viewed DESC
-        LIMIT ?
-      `;
-
-      this.db.all(query, [shopDomain, days, limit], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          const orders = rows.map(row => ({
-            orderNumber: row.order_number,
-            views: row.views,
-            lastViewed: new Date(row.last_viewed).toISOString().split('T')[0]
-          }));
-          resolve(orders);
-        }
-      });
-    });
+    const query = `
+      SELECT
+        order_number,
+        COUNT(*) as views,
+        MAX(viewed_at) as last_viewed
+      FROM tracking_analytics
+      WHERE shop_domain = ?
+      AND order_number IS NOT NULL
+      AND viewed_at >= ${this.storage.daysAgo()}
+      GROUP BY order_number
+      ORDER BY views DESC, last_viewed DESC
+      LIMIT ?
+    `;
+
+    const rows = await this.storage.all(query, [shopDomain, days, limit]);
+
+    return rows.map(row => ({
+      orderNumber: row.order_number,
+      views: row.views,
+      lastViewed: new Date(row.last_viewed).toISOString().split('T')[0]
+    }));
   }
 
-  // Get shop data (access token, etc.)
+  // Get shop data with the access token decrypted. A token that can't be
+  // decrypted is returned as null rather than failing the lookup.
   async getShopData(shopDomain) {
-    return new Promise((resolve, reject) => {
-      // For now, this is a placeholder
-      // In a real implementation, you'd store shop access tokens after OAuth
-      // and retrieve them here for public API calls
-      const query = 'SELECT * FROM shop_data WHERE shop_domain = ?';
-      
-      this.db.get(query, [shopDomain], (err, row) => {
-        if (err) {
-          // Table might not exist yet - this is expected for now
-          resolve(null);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    const query = 'SELECT * FROM shop_data WHERE shop_domain = ?';
+    const row = await this.storage.get(query, [shopDomain]);
+
+    if (!row || !row.access_token_key_id) return row;
+
+    try {
+      return {
+        ...row,
+        access_token: encryption.decrypt(row.access_token, row.access_token_key_id, row.shop_domain)
+      };
+    } catch (error) {
+      console.error(`Error decrypting access token for ${shopDomain}:`, error.message);
+      return { ...row, access_token: null };
+    }
   }
 
-  // Store shop data (access token, etc.)
+  // Store shop data after OAuth; the access token is encrypted with the
+  // current key. Without ENCRYPTION_KEYS tokens are stored in plaintext
+  // outside production. Reinstalling reactivates the shop.
   async storeShopData(shopDomain, accessToken, shopData = {}) {
-    return new Promise((resolve, reject) => {
-      // Create shop_data table if it doesn't exist
-      const createTableQuery = `
-        CREATE TABLE IF NOT EXISTS shop_data (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          shop_domain TEXT UNIQUE NOT NULL,
-          access_token TEXT NOT NULL,
-          shop_name TEXT,
-          shop_email TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `;
-      
-      this.db.run(createTableQuery, (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        const insertQuery = `
-          INSERT OR REPLACE INTO shop_data 
-          (shop_domain, access_token, shop_name, shop_email, updated_at)
-          VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
-        `;
-        
-        this.db.run(insertQuery, [
+    const query = `
+      INSERT INTO shop_data (
+        shop_domain, access_token, access_token_key_id, shop_name, shop_email,
+        shop_locale, shop_currency, scopes, is_active, installed_at, uninstalled_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, NULL, CURRENT_TIMESTAMP)
+      ON CONFLICT (shop_domain) DO UPDATE SET
+        access_token = excluded.access_token,
+        access_token_key_id = excluded.access_token_key_id,
+        shop_name = COALESCE(excluded.shop_name, shop_data.shop_name),
+        shop_email = COALESCE(excluded.shop_email, shop_data.shop_email),
+        shop_locale = COALESCE(excluded.shop_locale, shop_data.shop_locale),
+        shop_currency = COALESCE(excluded.shop_currency, shop_data.shop_currency),
+        scopes = COALESCE(excluded.scopes, shop_data.scopes),
+        installed_at = CASE WHEN shop_data.is_active THEN shop_data.installed_at ELSE excluded.installed_at END,
+        is_active = excluded.is_active,
+        uninstalled_at = NULL,
+        updated_at = excluded.updated_at
+      RETURNING id
+    `;
+
+    const token = this.sealAccessToken(shopDomain, accessToken);
+    const row = await this.storage.get(query, [
+      shopDomain,
+      token.ciphertext,
+      token.keyId,
+      shopData.name || null,
+      shopData.email || null,
+      shopData.locale || null,
+      shopData.currency || null,
+      shopData.scopes || null,
+      true
+    ]);
+    return { id: row.id };
+  }
+
+  // Mark a shop as uninstalled and drop its access token, which Shopify has
+  // already revoked
+  async markShopUninstalled(shopDomain) {
+    const query = `
+      UPDATE shop_data SET
+        is_active = ?,
+        access_token = '',
+        access_token_key_id = NULL,
+        uninstalled_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE shop_domain = ?
+    `;
+
+    const { changes } = await this.storage.run(query, [false, shopDomain]);
+    return { updated: changes };
+  }
+
+  // Re-encrypt access tokens stored in plaintext or under an older key with
+  // the current key
+  async rotateShopTokens() {
+    const currentKeyId = encryption.getCurrentKeyId();
+    if (!currentKeyId) {
+      throw new Error('ENCRYPTION_KEYS is not set');
+    }
+
+    const rows = await this.storage.all(
+      `SELECT id, shop_domain, access_token, access_token_key_id FROM shop_data
+       WHERE access_token <> '' AND (access_token_key_id IS NULL OR access_token_key_id <> ?)`,
+      [currentKeyId]
+    );
+
+    const result = { rotated: 0, failed: [] };
+    for (const row of rows) {
+      try {
+        const plaintext = row.access_token_key_id
+          ? encryption.decrypt(row.access_token, row.access_token_key_id, row.shop_domain)
+          : row.access_token;
+        const token = encryption.encrypt(plaintext, row.shop_domain);
+
+        // Skip the row if the token was replaced (e.g. reinstall) meanwhile
+        const { changes } = await this.storage.run(
+          `UPDATE shop_data SET access_token = ?, access_token_key_id = ?
+           WHERE id = ? AND access_token = ?`,
+          [token.ciphertext, token.keyId, row.id, row.access_token]
+        );
+        result.rotated += changes;
+      } catch (error) {
+        result.failed.push({ shopDomain: row.shop_domain, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  sealAccessToken(shopDomain, accessToken) {
+    if (encryption.isConfigured()) {
+      return encryption.encrypt(accessToken, shopDomain);
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('ENCRYPTION_KEYS must be set to store shop access tokens in production');
+    }
+
+    if (!this.warnedPlaintextTokens) {
+      console.warn('⚠️ ENCRYPTION_KEYS is not set; storing shop access tokens unencrypted');
+      this.warnedPlaintextTokens = true;
+    }
+    return { ciphertext: accessToken, keyId: null };
+  }
+
+  // Get a cached carrier tracking result
+  async getCachedTracking(cacheKey) {
+    const query = 'SELECT * FROM tracking_cache WHERE cache_key = ?';
+    const row = await this.storage.get(query, [cacheKey]);
+
+    if (!row) return null;
+
+    return {
+      data: JSON.parse(row.data),
+      fetchedAt: new Date(row.fetched_at).getTime(),
+      expiresAt: new Date(row.expires_at).getTime(),
+      staleUntil: new Date(row.stale_until).getTime()
+    };
+  }
+
+  // Store a carrier tracking result in the cache
+  async setCachedTracking(cacheKey, entry) {
+    const query = `
+      INSERT INTO tracking_cache (
+        cache_key, carrier, tracking_number, status, data,
+        fetched_at, expires_at, stale_until
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (cache_key) DO UPDATE SET
+        carrier = excluded.carrier,
+        tracking_number = excluded.tracking_number,
+        status = excluded.status,
+        data = excluded.data,
+        fetched_at = excluded.fetched_at,
+        expires_at = excluded.expires_at,
+        stale_until = excluded.stale_until
+    `;
+
+    return this.storage.run(query, [
+      cacheKey,
+      entry.data.carrier || null,
+      entry.data.trackingNumber,
+      entry.data.status || null,
+      JSON.stringify(entry.data),
+      new Date(entry.fetchedAt).toISOString(),
+      new Date(entry.expiresAt).toISOString(),
+      new Date(entry.staleUntil).toISOString()
+    ]);
+  }
+
+  // Remove cached tracking results that are past their stale window
+  async purgeExpiredTracking() {
+    const query = 'DELETE FROM tracking_cache WHERE stale_until < ?';
+    const { changes } = await this.storage.run(query, [new Date().toISOString()]);
+    return { deleted: changes };
+  }
+
+  // Get a carrier credential's API usage for one day (YYYY-MM-DD, UTC)
+  async getCarrierUsage(carrier, credentialId, usageDate) {
+    const query = `
+      SELECT requests, rejected FROM carrier_api_usage
+      WHERE carrier = ? AND credential_id = ? AND usage_date = ?
+    `;
+
+    const row = await this.storage.get(query, [carrier, credentialId, usageDate]);
+    return {
+      requests: row ? row.requests : 0,
+      rejected: row ? row.rejected : 0
+    };
+  }
+
+  // Add to a carrier credential's API usage counters for one day
+  async incrementCarrierUsage(carrier, credentialId, usageDate, { requests = 0, rejected = 0 }) {
+    const query = `
+      INSERT INTO carrier_api_usage (carrier, credential_id, usage_date, requests, rejected)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (carrier, credential_id, usage_date) DO UPDATE SET
+        requests = carrier_api_usage.requests + excluded.requests,
+        rejected = carrier_api_usage.rejected + excluded.rejected,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    return this.storage.run(query, [carrier, credentialId, usageDate, requests, rejected]);
+  }
+
+  // Get daily carrier API usage, newest first
+  async getCarrierUsageHistory(days = 30) {
+    const query = `
+      SELECT carrier, usage_date, SUM(requests) as requests, SUM(rejected) as rejected
+      FROM carrier_api_usage
+      WHERE usage_date >= ?
+      GROUP BY carrier, usage_date
+      ORDER BY usage_date DESC, carrier
+    `;
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const rows = await this.storage.all(query, [since]);
+
+    return rows.map(row => ({
+      carrier: row.carrier,
+      date: row.usage_date,
+      requests: row.requests || 0,
+      rejected: row.rejected || 0
+    }));
+  }
+
+  // Add a shipment to watch, or refresh its order and carrier details
+  async upsertShipment(shipment) {
+    const query = `
+      INSERT INTO shipments (shop_domain, order_id, order_number, fulfillment_id, carrier, tracking_number)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (shop_domain, tracking_number) DO UPDATE SET
+        order_id = COALESCE(excluded.order_id, shipments.order_id),
+        order_number = COALESCE(excluded.order_number, shipments.order_number),
+        fulfillment_id = COALESCE(excluded.fulfillment_id, shipments.fulfillment_id),
+        carrier = COALESCE(excluded.carrier, shipments.carrier),
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    return this.storage.run(query, [
+      shipment.shopDomain,
+      shipment.orderId != null ? String(shipment.orderId) : null,
+      shipment.orderNumber != null ? String(shipment.orderNumber) : null,
+      shipment.fulfillmentId != null ? String(shipment.fulfillmentId) : null,
+      shipment.carrier || null,
+      shipment.trackingNumber
+    ]);
+  }
+
+  // Upsert the shipments of an order's fulfillments (those with a tracking
+  // number; a fulfillment may carry several in tracking_numbers)
+  async upsertShipmentsFromFulfillments(shopDomain, orderId, fulfillments = [], orderNumber = null) {
+    for (const fulfillment of fulfillments) {
+      const trackingNumbers = fulfillment.tracking_numbers?.length
+        ? fulfillment.tracking_numbers
+        : [fulfillment.tracking_number];
+
+      for (const trackingNumber of trackingNumbers.filter(Boolean)) {
+        await this.upsertShipment({
           shopDomain,
-          accessToken,
-          shopData.name || null,
-          shopData.email || null
-        ], function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve({ id: this.lastID });
-          }
+          orderId,
+          orderNumber,
+          fulfillmentId: fulfillment.id,
+          carrier: fulfillment.tracking_company,
+          trackingNumber
         });
-      });
+      }
+    }
+
+    return this.getOrderShipments(shopDomain, orderId);
+  }
+
+  // Get a shipment by tracking number
+  async getShipment(shopDomain, trackingNumber) {
+    const query = 'SELECT * FROM shipments WHERE shop_domain = ? AND tracking_number = ?';
+    return this.storage.get(query, [shopDomain, trackingNumber]);
+  }
+
+  // Get all shipments of an order
+  async getOrderShipments(shopDomain, orderId) {
+    const query = `
+      SELECT * FROM shipments
+      WHERE shop_domain = ? AND order_id = ?
+      ORDER BY created_at
+    `;
+
+    return this.storage.all(query, [shopDomain, String(orderId)]);
+  }
+
+  // Get a shipment's stored events as canonical events, newest first
+  async getShipmentTimeline(shipmentId) {
+    const query = `
+      SELECT * FROM tracking_events
+      WHERE shipment_id = ?
+      ORDER BY id DESC
+    `;
+
+    const rows = await this.storage.all(query, [shipmentId]);
+    const events = rows.map(row => ({
+      timestamp: row.occurred_at,
+      location: row.location ? JSON.parse(row.location) : null,
+      status: row.status,
+      carrierStatusCode: row.carrier_status_code,
+      description: row.description
+    }));
+
+    // Timestamps keep the carrier's UTC offset, so compare them as dates
+    return events.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  // Get shipments that are still being polled and due for a carrier check
+  async getShipmentsDueForPolling(limit = 100) {
+    const query = `
+      SELECT * FROM shipments
+      WHERE polling_stopped_at IS NULL
+      AND (next_poll_at IS NULL OR next_poll_at <= ?)
+      ORDER BY next_poll_at IS NOT NULL, next_poll_at
+      LIMIT ?
+    `;
+
+    return this.storage.all(query, [new Date().toISOString(), limit]);
+  }
+
+  // Record the outcome of polling a shipment
+  async updateShipmentPoll(shipmentId, poll) {
+    const query = `
+      UPDATE shipments SET
+        status = ?,
+        estimated_delivery = COALESCE(?, estimated_delivery),
+        delivered_at = COALESCE(?, delivered_at),
+        last_event_at = COALESCE(?, last_event_at),
+        last_polled_at = ?,
+        next_poll_at = ?,
+        polling_stopped_at = ?,
+        stop_reason = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    return this.storage.run(query, [
+      poll.status,
+      poll.estimatedDelivery || null,
+      poll.deliveredAt || null,
+      poll.lastEventAt || null,
+      poll.polledAt,
+      poll.nextPollAt || null,
+      poll.pollingStoppedAt || null,
+      poll.stopReason || null,
+      shipmentId
+    ]);
+  }
+
+  // Append canonical tracking events to a shipment's timeline; events already
+  // stored (same time, status and description) are skipped
+  async appendTrackingEvents(shipmentId, events) {
+    const query = `
+      INSERT INTO tracking_events (
+        shipment_id, occurred_at, status, carrier_status_code, description, location
+      ) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `;
+
+    let added = 0;
+    for (const event of events) {
+      const { changes } = await this.storage.run(query, [
+        shipmentId,
+        event.timestamp,
+        event.status,
+        event.carrierStatusCode || null,
+        event.description || null,
+        event.location ? JSON.stringify(event.location) : null
+      ]);
+      added += changes;
+    }
+
+    return { added };
+  }
+
+  // Take a named lock for ttlMs unless another owner holds an unexpired one
+  async acquireLock(name, owner, ttlMs) {
+    const now = new Date();
+    const query = `
+      INSERT INTO scheduler_locks (name, owner, expires_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT (name) DO UPDATE SET
+        owner = excluded.owner,
+        expires_at = excluded.expires_at
+      WHERE scheduler_locks.owner = excluded.owner OR scheduler_locks.expires_at <= ?
+    `;
+
+    const { changes } = await this.storage.run(query, [
+      name,
+      owner,
+      new Date(now.getTime() + ttlMs).toISOString(),
+      now.toISOString()
+    ]);
+    return changes === 1;
+  }
+
+  // Release a lock held by this owner
+  async releaseLock(name, owner) {
+    const query = 'DELETE FROM scheduler_locks WHERE name = ? AND owner = ?';
+    const { changes } = await this.storage.run(query, [name, owner]);
+    return changes === 1;
+  }
+
+  // Stop polling the open shipments of an order, or of one of its
+  // fulfillments (e.g. when it's cancelled)
+  async stopShipmentPolling(shopDomain, { orderId, fulfillmentId = null }, reason) {
+    const query = `
+      UPDATE shipments SET
+        polling_stopped_at = CURRENT_TIMESTAMP,
+        stop_reason = ?,
+        next_poll_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE shop_domain = ? AND order_id = ?
+      AND polling_stopped_at IS NULL
+      ${fulfillmentId != null ? 'AND fulfillment_id = ?' : ''}
+    `;
+
+    const params = [reason, shopDomain, String(orderId)];
+    if (fulfillmentId != null) params.push(String(fulfillmentId));
+
+    const { changes } = await this.storage.run(query, params);
+    return { stopped: changes };
+  }
+
+  // Record a webhook delivery; false when this webhook ID was already recorded
+  async recordWebhookDelivery(webhookId, shopDomain, topic) {
+    const query = `
+      INSERT INTO webhook_deliveries (webhook_id, shop_domain, topic)
+      VALUES (?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `;
+
+    const { changes } = await this.storage.run(query, [webhookId, shopDomain, topic]);
+    return changes === 1;
+  }
+
+  // Forget a delivery whose processing failed, so Shopify's retry is handled
+  async forgetWebhookDelivery(webhookId) {
+    return this.storage.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+  }
+
+  // Remove recorded deliveries older than the given number of days
+  async purgeWebhookDeliveries(days = 7) {
+    const query = `DELETE FROM webhook_deliveries WHERE received_at < ${this.storage.daysAgo()}`;
+    const { changes } = await this.storage.run(query, [days]);
+    return { deleted: changes };
+  }
+
+  // Insert or refresh synced order summaries
+  async upsertOrders(shopDomain, orders) {
+    const query = `
+      INSERT INTO orders (
+        shop_domain, order_id, name, order_number, financial_status, fulfillment_status,
+        total_price, currency, order_created_at, order_updated_at, cancelled_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (shop_domain, order_id) DO UPDATE SET
+        name = excluded.name,
+        order_number = excluded.order_number,
+        financial_status = excluded.financial_status,
+        fulfillment_status = excluded.fulfillment_status,
+        total_price = excluded.total_price,
+        currency = excluded.currency,
+        order_updated_at = excluded.order_updated_at,
+        cancelled_at = excluded.cancelled_at,
+        synced_at = CURRENT_TIMESTAMP
+    `;
+
+    return this.storage.transaction(async tx => {
+      for (const order of orders) {
+        await tx.run(query, [
+          shopDomain,
+          String(order.id),
+          order.name || null,
+          order.order_number != null ? String(order.order_number) : null,
+          order.financial_status || null,
+          order.fulfillment_status || null,
+          parseFloat(order.total_price || 0),
+          order.currency || null,
+          order.created_at,
+          order.updated_at || null,
+          order.cancelled_at || null
+        ]);
+      }
+      return { synced: orders.length };
+    });
+  }
+
+  // Get synced orders created in a date range (ISO strings), newest first,
+  // in the shape shopifyService.getOrders returns
+  async getSyncedOrders(shopDomain, since, until = new Date().toISOString()) {
+    const query = `
+      SELECT * FROM orders
+      WHERE shop_domain = ? AND order_created_at >= ? AND order_created_at <= ?
+      ORDER BY order_created_at DESC
+    `;
+
+    const rows = await this.storage.all(query, [shopDomain, since, until]);
+    return rows.map(row => ({
+      id: row.order_id,
+      name: row.name,
+      order_number: row.order_number,
+      created_at: toIsoString(row.order_created_at),
+      updated_at: toIsoString(row.order_updated_at),
+      cancelled_at: toIsoString(row.cancelled_at),
+      financial_status: row.financial_status,
+      fulfillment_status: row.fulfillment_status,
+      total_price: row.total_price,
+      currency: row.currency
+    }));
+  }
+
+  // Get a shop's order sync progress
+  async getOrderSyncState(shopDomain) {
+    const row = await this.storage.get('SELECT * FROM order_sync_state WHERE shop_domain = ?', [shopDomain]);
+    if (!row) return null;
+
+    return {
+      shopDomain: row.shop_domain,
+      status: row.status,
+      backfillSince: toIsoString(row.backfill_since),
+      backfillCursor: row.backfill_cursor,
+      backfillPosition: toIsoString(row.backfill_position),
+      backfillCompletedAt: toIsoString(row.backfill_completed_at),
+      ordersSynced: row.orders_synced || 0,
+      lastUpdatedAt: toIsoString(row.last_updated_at),
+      lastSyncedAt: toIsoString(row.last_synced_at),
+      error: row.error,
+      startedAt: toIsoString(row.started_at)
+    };
+  }
+
+  // Create or update a shop's order sync progress; only the given fields
+  // are changed
+  async saveOrderSyncState(shopDomain, state) {
+    const fields = Object.keys(state).filter(key => ORDER_SYNC_COLUMNS[key]);
+    const columns = fields.map(key => ORDER_SYNC_COLUMNS[key]);
+
+    const query = `
+      INSERT INTO order_sync_state (shop_domain${columns.map(column => `, ${column}`).join('')})
+      VALUES (?${columns.map(() => ', ?').join('')})
+      ON CONFLICT (shop_domain) DO UPDATE SET
+        ${columns.map(column => `${column} = excluded.${column}, `).join('')}updated_at = CURRENT_TIMESTAMP
+    `;
+
+    return this.storage.run(query, [shopDomain, ...fields.map(key => state[key] ?? null)]);
+  }
+
+  // Active shops with an order sync in progress or completed
+  async getShopsForOrderSync() {
+    const query = `
+      SELECT shop_data.shop_domain, order_sync_state.status
+      FROM shop_data
+      JOIN order_sync_state ON order_sync_state.shop_domain = shop_data.shop_domain
+      WHERE shop_data.is_active = ? AND order_sync_state.status IN ('running', 'completed')
+    `;
+
+    return this.storage.all(query, [true]);
+  }
+
+  // Record that a status is being sent to a fulfillment; false when it
+  // already was (or is being sent by another poll)
+  async claimFulfillmentEvent(shopDomain, fulfillmentId, status, { shipmentId = null, happenedAt = null } = {}) {
+    const query = `
+      INSERT INTO fulfillment_events (shop_domain, fulfillment_id, status, shipment_id, happened_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `;
+
+    const { changes } = await this.storage.run(query, [
+      shopDomain, String(fulfillmentId), status, shipmentId, happenedAt
+    ]);
+    return changes === 1;
+  }
+
+  // Store the ID Shopify gave a created fulfillment event
+  async completeFulfillmentEvent(shopDomain, fulfillmentId, status, shopifyEventId) {
+    const query = `
+      UPDATE fulfillment_events SET shopify_event_id = ?
+      WHERE shop_domain = ? AND fulfillment_id = ? AND status = ?
+    `;
+
+    return this.storage.run(query, [shopifyEventId, shopDomain, String(fulfillmentId), status]);
+  }
+
+  // Drop a claim whose event couldn't be created, so a later poll retries it
+  async releaseFulfillmentEvent(shopDomain, fulfillmentId, status) {
+    const query = `
+      DELETE FROM fulfillment_events
+      WHERE shop_domain = ? AND fulfillment_id = ? AND status = ? AND shopify_event_id IS NULL
+    `;
+
+    return this.storage.run(query, [shopDomain, String(fulfillmentId), status]);
+  }
+
+  // Get the delivery state last written to an order's metafields and tags
+  async getOrderDeliveryState(shopDomain, orderId) {
+    const query = 'SELECT written FROM order_delivery_state WHERE shop_domain = ? AND order_id = ?';
+    const row = await this.storage.get(query, [shopDomain, String(orderId)]);
+    return row ? JSON.parse(row.written) : null;
+  }
+
+  // Store the delivery state written to an order
+  async saveOrderDeliveryState(shopDomain, orderId, written) {
+    const query = `
+      INSERT INTO order_delivery_state (shop_domain, order_id, written, synced_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (shop_domain, order_id) DO UPDATE SET
+        written = excluded.written,
+        synced_at = excluded.synced_at
+    `;
+
+    return this.storage.run(query, [shopDomain, String(orderId), JSON.stringify(written), new Date().toISOString()]);
+  }
+
+  // Find the stored records of a customer: tracking page views matched by
+  // order ID, order number or contact hash, and the shipments of their orders
+  async findCustomerRecords(shopDomain, { orderIds = [], orderNumbers = [], contactHashes = [] }, db = this.storage) {
+    const ids = orderIds.map(String);
+    const shipments = ids.length > 0
+      ? await db.all(
+        `SELECT * FROM shipments WHERE shop_domain = ? AND order_id IN (${placeholders(ids)})`,
+        [shopDomain, ...ids]
+      )
+      : [];
+
+    // Older views only have the order number the customer typed, with or without "#"
+    const numbers = [...orderNumbers, ...shipments.map(shipment => shipment.order_number)]
+      .filter(Boolean)
+      .map(number => String(number).replace(/^#/, ''))
+      .flatMap(number => [number, `#${number}`]);
+
+    const conditions = [];
+    const params = [shopDomain];
+    for (const [column, values] of [['order_id', ids], ['order_number', numbers], ['contact_hash', contactHashes]]) {
+      if (values.length > 0) {
+        conditions.push(`${column} IN (${placeholders(values)})`);
+        params.push(...values);
+      }
+    }
+
+    const views = conditions.length > 0
+      ? await db.all(
+        `SELECT * FROM tracking_analytics WHERE shop_domain = ? AND (${conditions.join(' OR ')}) ORDER BY viewed_at`,
+        params
+      )
+      : [];
+
+    for (const shipment of shipments) {
+      shipment.events = await db.all(
+        'SELECT * FROM tracking_events WHERE shipment_id = ? ORDER BY occurred_at',
+        [shipment.id]
+      );
+    }
+
+    return { views, shipments };
+  }
+
+  // Delete a customer's records (see findCustomerRecords), including cached
+  // carrier results for their tracking numbers
+  async redactCustomerRecords(shopDomain, subject) {
+    return this.storage.transaction(async tx => {
+      const { views, shipments } = await this.findCustomerRecords(shopDomain, subject, tx);
+      const counts = { trackingViews: 0, shipments: 0, trackingEvents: 0, cachedResults: 0 };
+
+      const viewIds = views.map(view => view.id);
+      if (viewIds.length > 0) {
+        counts.trackingViews = (await tx.run(
+          `DELETE FROM tracking_analytics WHERE id IN (${placeholders(viewIds)})`,
+          viewIds
+        )).changes;
+      }
+
+      Object.assign(counts, await deleteShipments(tx, shipments));
+      return counts;
+    });
+  }
+
+  // Delete everything stored for a shop. The compliance audit log is kept
+  // without export data, as proof of what was done.
+  async purgeShopData(shopDomain) {
+    return this.storage.transaction(async tx => {
+      const shipments = await tx.all('SELECT id, tracking_number FROM shipments WHERE shop_domain = ?', [shopDomain]);
+      const counts = await deleteShipments(tx, shipments);
+
+      for (const [table, key] of [
+        ['tracking_analytics', 'trackingViews'],
+        ['merchant_settings', 'settings'],
+        ['webhook_deliveries', 'webhookDeliveries'],
+        ['orders', 'orders'],
+        ['fulfillment_events', 'fulfillmentEvents'],
+        ['order_delivery_state', 'orderDeliveryStates'],
+        ['order_sync_state', 'orderSync'],
+        ['shop_data', 'shopData']
+      ]) {
+        counts[key] = (await tx.run(`DELETE FROM ${table} WHERE shop_domain = ?`, [shopDomain])).changes;
+      }
+
+      await tx.run('UPDATE compliance_audit_log SET export_data = NULL WHERE shop_domain = ?', [shopDomain]);
+      return counts;
     });
   }
 
+  // Shops uninstalled more than the given number of days ago whose data
+  // hasn't been purged yet
+  async getShopsPendingPurge(days = 2) {
+    const query = `
+      SELECT shop_domain FROM shop_data
+      WHERE is_active = ? AND uninstalled_at IS NOT NULL
+      AND uninstalled_at <= ${this.storage.daysAgo()}
+    `;
+
+    const rows = await this.storage.all(query, [false, days]);
+    return rows.map(row => row.shop_domain);
+  }
+
+  // Append an entry to the compliance audit log
+  async recordComplianceAction(entry) {
+    const query = `
+      INSERT INTO compliance_audit_log (
+        shop_domain, action, webhook_id, customer_id, records_affected, details, export_data
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      RETURNING id
+    `;
+
+    const row = await this.storage.get(query, [
+      entry.shopDomain,
+      entry.action,
+      entry.webhookId || null,
+      entry.customerId != null ? String(entry.customerId) : null,
+      entry.recordsAffected || 0,
+      entry.details ? JSON.stringify(entry.details) : null,
+      entry.exportData ? JSON.stringify(entry.exportData) : null
+    ]);
+    return { id: row.id };
+  }
+
+  // Get a shop's compliance audit log, newest first
+  async getComplianceLog(shopDomain, limit = 100) {
+    const query = `
+      SELECT id, action, webhook_id, customer_id, records_affected, details, created_at,
+        export_data IS NOT NULL as has_export
+      FROM compliance_audit_log
+      WHERE shop_domain = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `;
+
+    const rows = await this.storage.all(query, [shopDomain, limit]);
+    return rows.map(row => ({
+      id: row.id,
+      action: row.action,
+      webhookId: row.webhook_id,
+      customerId: row.customer_id,
+      recordsAffected: row.records_affected,
+      details: row.details ? JSON.parse(row.details) : null,
+      hasExport: Boolean(row.has_export),
+      createdAt: row.created_at
+    }));
+  }
+
+  // Get the export produced for a customer data request
+  async getComplianceExport(shopDomain, id) {
+    const query = 'SELECT export_data FROM compliance_audit_log WHERE shop_domain = ? AND id = ?';
+    const row = await this.storage.get(query, [shopDomain, id]);
+    return row?.export_data ? JSON.parse(row.export_data) : null;
+  }
+
   // Close database connection
-  close() {
-    if (this.db) {
-      this.db.close((err) => {
-        if (err) {
-          console.error('Error closing database:', err.message);
-        } else {
-          console.log('Database connection closed');
-        }
-      });
+  async close() {
+    try {
+      await this.storage.close();
+      console.log('Database connection closed');
+    } catch (error) {
+      console.error('Error closing database:', error.message);
     }
   }
 }
 
+// saveOrderSyncState() fields and their columns
+const ORDER_SYNC_COLUMNS = {
+  status: 'status',
+  backfillSince: 'backfill_since',
+  backfillCursor: 'backfill_cursor',
+  backfillPosition: 'backfill_position',
+  backfillCompletedAt: 'backfill_completed_at',
+  ordersSynced: 'orders_synced',
+  lastUpdatedAt: 'last_updated_at',
+  lastSyncedAt: 'last_synced_at',
+  error: 'error',
+  startedAt: 'started_at'
+};
+
+// PostgreSQL returns timestamps as Date objects, SQLite as stored strings
+function toIsoString(value) {
+  if (value == null) return null;
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+// Settings lists are stored as JSON arrays of strings
+function parseList(value) {
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string');
+  if (!value) return [];
+
+  try {
+    return parseList(JSON.parse(value));
+  } catch (error) {
+    return [];
+  }
+}
+
+// "?, ?, ?" for an IN (...) list
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+// Delete shipments with their events and cached carrier results
+async function deleteShipments(db, shipments) {
+  const counts = { shipments: 0, trackingEvents: 0, cachedResults: 0 };
+  if (shipments.length === 0) return counts;
+
+  const ids = shipments.map(shipment => shipment.id);
+  const trackingNumbers = shipments.map(shipment => shipment.tracking_number);
+
+  counts.trackingEvents = (await db.run(
+    `DELETE FROM tracking_events WHERE shipment_id IN (${placeholders(ids)})`, ids
+  )).changes;
+  await db.run(`DELETE FROM fulfillment_events WHERE shipment_id IN (${placeholders(ids)})`, ids);
+  for (const { shop_domain: shopDomain, order_id: orderId } of shipments) {
+    if (!shopDomain || !orderId) continue;
+    await db.run('DELETE FROM order_delivery_state WHERE shop_domain = ? AND order_id = ?', [shopDomain, orderId]);
+  }
+  counts.cachedResults = (await db.run(
+    `DELETE FROM tracking_cache WHERE tracking_number IN (${placeholders(trackingNumbers)})`, trackingNumbers
+  )).changes;
+  counts.shipments = (await db.run(
+    `DELETE FROM shipments WHERE id IN (${placeholders(ids)})`, ids
+  )).changes;
+
+  return counts;
+}
+
 // Create singleton instance
-const database = new Database();
+const database = new Database(createStorage(process.env.DATABASE_URL));
 
-module.exports = database;
\ No newline at end of file
+module.exports = database;
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Migration files are named <version>_<name>.js, e.g. 002_add_shop_scopes.js
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+/**
+ * Applies and rolls back numbered schema migrations
+ *
+ * Each migration module exports async up(db) and down(db), where db is the
+ * storage driver (run/get/all/exec) bound to the migration's transaction.
+ * Migrations are written in SQLite DDL; the PostgreSQL driver translates it.
+ * Every migration runs in its own transaction and is recorded in
+ * schema_migrations.
+ */
+class Migrator {
+  /**
+   * @param {Object} db - Storage driver (see models/storage)
+   * @param {string} [directory] - Directory containing migration files
+   */
+  constructor(db, directory = MIGRATIONS_DIR) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  /**
+   * Migration files, oldest first
+   * @returns {Array<Object>} { version, name, up, down }
+   */
+  loadMigrations() {
+    return fs.readdirSync(this.directory)
+      .map(file => file.match(MIGRATION_FILE))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({
+        version: Number(version),
+        name,
+        ...require(path.join(this.directory, file))
+      }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async ensureMigrationsTable() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async getApplied() {
+    await this.ensureMigrationsTable();
+    return this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  /**
+   * Every known migration and whether it has been applied
+   * @returns {Promise<Array<Object>>} { version, name, appliedAt }
+   */
+  async status() {
+    const applied = await this.getApplied();
+    const migrations = this.loadMigrations();
+
+    const rows = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.find(row => row.version === migration.version)?.applied_at || null
+    }));
+
+    // Applied by a newer release whose files aren't deployed here
+    for (const row of applied) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        rows.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true });
+      }
+    }
+
+    return rows.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Apply all pending migrations in order
+   * @returns {Promise<Array<Object>>} Migrations applied
+   */
+  async migrate() {
+    const applied = await this.getApplied();
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = this.loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+
+    for (const migration of pending) {
+      await this.db.transaction(async tx => {
+        await migration.up(tx);
+        await tx.run(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
+      console.log(`Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   * @param {number} [steps] - Number of migrations to roll back
+   * @returns {Promise<Array<Object>>} Migrations rolled back
+   */
+  async rollback(steps = 1) {
+    const applied = await this.getApplied();
+    const migrations = this.loadMigrations();
+    const targets = applied.slice(-steps).reverse();
+    const rolledBack = [];
+
+    for (const row of targets) {
+      const migration = migrations.find(candidate => candidate.version === row.version);
+      if (!migration) {
+        throw new Error(`Migration file for version ${row.version} (${row.name}) not found`);
+      }
+
+      await this.db.transaction(async tx => {
+        await migration.down(tx);
+        await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      console.log(`Rolled back migration ${migration.version}_${migration.name}`);
+      rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,125 @@
+const { Pool, types } = require('pg');
+
+// Return timestamps as ISO strings and counts as numbers, matching the rows
+// the SQLite driver returns
+const TIMESTAMP_OID = 1114;
+const TIMESTAMPTZ_OID = 1184;
+const INT8_OID = 20;
+
+types.setTypeParser(TIMESTAMPTZ_OID, value => new Date(value).toISOString());
+types.setTypeParser(TIMESTAMP_OID, value => new Date(`${value.replace(' ', 'T')}Z`).toISOString());
+types.setTypeParser(INT8_OID, value => Number(value));
+
+/**
+ * PostgreSQL storage driver
+ *
+ * Same interface as SqliteStorage. Queries are written with `?`
+ * placeholders and converted to $1, $2, ... here. Migrations are written in
+ * SQLite DDL; exec() translates the few constructs PostgreSQL spells
+ * differently (see translateDdl).
+ */
+class PostgresStorage {
+  /**
+   * @param {string} connectionString - postgres:// URL
+   */
+  constructor(connectionString) {
+    this.dialect = 'postgres';
+    this.connectionString = connectionString;
+    this.pool = null;
+  }
+
+  async open() {
+    this.pool = new Pool({
+      connectionString: this.connectionString,
+      // Hosted providers (Render, Heroku) require TLS with their own certificates
+      ssl: /sslmode=disable/.test(this.connectionString) || /@(localhost|127\.0\.0\.1)[:/]/.test(this.connectionString)
+        ? false
+        : { rejectUnauthorized: false }
+    });
+
+    this.pool.on('error', error => console.error('PostgreSQL pool error:', error.message));
+
+    await this.pool.query('SELECT 1');
+    console.log('Connected to PostgreSQL database');
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+
+  async run(sql, params = []) {
+    const result = await this.query(this.pool, sql, params);
+    return { changes: result.rowCount };
+  }
+
+  async get(sql, params = []) {
+    const result = await this.query(this.pool, sql, params);
+    return result.rows[0] || null;
+  }
+
+  async all(sql, params = []) {
+    const result = await this.query(this.pool, sql, params);
+    return result.rows;
+  }
+
+  async exec(sql) {
+    await this.pool.query(translateDdl(sql));
+  }
+
+  /**
+   * Run work inside a transaction on a single pooled connection
+   * @param {Function} work - async (storage) => result, with storage bound to the transaction
+   * @returns {Promise<*>} The work's result
+   */
+  async transaction(work) {
+    const client = await this.pool.connect();
+    const scoped = {
+      dialect: this.dialect,
+      run: async (sql, params = []) => ({ changes: (await this.query(client, sql, params)).rowCount }),
+      get: async (sql, params = []) => (await this.query(client, sql, params)).rows[0] || null,
+      all: async (sql, params = []) => (await this.query(client, sql, params)).rows,
+      exec: async sql => { await client.query(translateDdl(sql)); },
+      daysAgo: () => this.daysAgo()
+    };
+
+    try {
+      await client.query('BEGIN');
+      const result = await work(scoped);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  query(client, sql, params) {
+    return client.query(toPositional(sql), params);
+  }
+
+  // SQL for "now minus N days", with N bound as a parameter
+  daysAgo() {
+    return "NOW() - (?::int * INTERVAL '1 day')";
+  }
+}
+
+// "a = ? AND b = ?" -> "a = $1 AND b = $2"
+function toPositional(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+function translateDdl(sql) {
+  return sql
+    .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/gi, 'SERIAL PRIMARY KEY')
+    .replace(/\bDATETIME\b/gi, 'TIMESTAMPTZ')
+    .replace(/\bBOOLEAN DEFAULT 1\b/gi, 'BOOLEAN DEFAULT TRUE')
+    .replace(/\bBOOLEAN DEFAULT 0\b/gi, 'BOOLEAN DEFAULT FALSE');
+}
+
+module.exports = PostgresStorage;
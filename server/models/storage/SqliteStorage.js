@@ -0,0 +1,158 @@
+const sqlite3 = require('sqlite3').verbose();
+
+/**
+ * SQLite storage driver
+ *
+ * Drivers share one interface used by Database and migrations:
+ * open/close, run/get/all/exec with `?` placeholders, transaction(work) and
+ * a few dialect helpers for SQL that differs between engines.
+ */
+class SqliteStorage {
+  /**
+   * @param {string} filename - Database file path
+   */
+  constructor(filename) {
+    this.dialect = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+    // Tail of the queue every call waits behind (see serialize)
+    this.queue = Promise.resolve();
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.filename, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          console.log('Connected to SQLite database');
+          resolve();
+        }
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) return resolve();
+
+      this.db.close((err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  run(sql, params = []) {
+    return this.serialize(() => this.runNow(sql, params));
+  }
+
+  get(sql, params = []) {
+    return this.serialize(() => this.getNow(sql, params));
+  }
+
+  all(sql, params = []) {
+    return this.serialize(() => this.allNow(sql, params));
+  }
+
+  exec(sql) {
+    return this.serialize(() => this.execNow(sql));
+  }
+
+  /**
+   * Run work inside a transaction
+   * SQLite has a single connection: a query issued by anyone else while work
+   * is awaiting would join the transaction (and be rolled back with it), and
+   * a second BEGIN would fail. Transactions therefore hold the queue until
+   * they finish, and work gets a driver that bypasses it.
+   * @param {Function} work - async (storage) => result, with storage bound to the transaction
+   * @returns {Promise<*>} The work's result
+   */
+  transaction(work) {
+    const scoped = {
+      dialect: this.dialect,
+      run: (sql, params = []) => this.runNow(sql, params),
+      get: (sql, params = []) => this.getNow(sql, params),
+      all: (sql, params = []) => this.allNow(sql, params),
+      exec: sql => this.execNow(sql),
+      daysAgo: () => this.daysAgo()
+    };
+
+    return this.serialize(async () => {
+      await this.execNow('BEGIN');
+      try {
+        const result = await work(scoped);
+        await this.execNow('COMMIT');
+        return result;
+      } catch (error) {
+        await this.execNow('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  // Run task once every call queued before it has settled
+  serialize(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  runNow(sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ changes: this.changes });
+        }
+      });
+    });
+  }
+
+  getNow(sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  allNow(sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  execNow(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // SQL for "now minus N days", with N bound as a parameter
+  daysAgo() {
+    return "datetime('now', '-' || ? || ' days')";
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const Database = require('../models/Database');
+
+// GDPR audit log for the merchant: data requests, redactions and purges
+router.get('/log', async (req, res) => {
+  try {
+    const session = res.locals.shopify?.session;
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { limit = 100 } = req.query;
+    const entries = await Database.getComplianceLog(session.shop, Math.min(parseInt(limit) || 100, 500));
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Error fetching compliance log:', error);
+    res.status(500).json({ error: 'Failed to fetch compliance log' });
+  }
+});
+
+// Download the export produced for a customers/data_request webhook, to
+// send to the customer
+router.get('/exports/:id', async (req, res) => {
+  try {
+    const session = res.locals.shopify?.session;
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const exportData = await Database.getComplianceExport(session.shop, parseInt(req.params.id));
+
+    if (!exportData) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.attachment(`customer-data-${req.params.id}.json`);
+    res.json(exportData);
+  } catch (error) {
+    console.error('Error fetching compliance export:', error);
+    res.status(500).json({ error: 'Failed to fetch export' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const shopifyService = require('../services/shopifyService');
+const orderSyncService = require('../services/orderSyncService');
 
 // Helper function to extract session information from request
-function getSessionFromRequest(req) {
+function getSessionFromRequest(req, res) {
   // Try to get from Shopify session first
   if (req.session?.shop && req.session?.accessToken) {
     return {
@@ -29,13 +30,26 @@ function getSessionFromRequest(req) {
     };
   }
   
-  // Fallback for development
+  // Fallback for development; never share one token across shops in production
+  if (process.env.NODE_ENV === 'production') {
+    return { shop: null, accessToken: null };
+  }
+
   return {
     shop: process.env.SHOPIFY_SHOP_DOMAIN,
     accessToken: process.env.SHOPIFY_ACCESS_TOKEN
   };
 }
 
+// No shop session to act for; the admin re-authorizes through redirectUrl
+function sendNoSession(req, res) {
+  return res.status(401).json({
+    success: false,
+    error: 'No valid Shopify session found',
+    redirectUrl: `/api/auth?shop=${req.query.shop || ''}`
+  });
+}
+
 // Get order by order number and email/phone
 router.post('/lookup', async (req, res) => {
   try {
@@ -48,7 +62,7 @@ router.post('/lookup', async (req, res) => {
       });
     }
     
-    const { shop, accessToken } = getSessionFromRequest(req);
+    const { shop, accessToken } = getSessionFromRequest(req, res);
     const result = await shopifyService.findOrderByNumberAndContact(
       shop, 
       accessToken, 
@@ -73,10 +87,11 @@ router.post('/lookup', async (req, res) => {
 // Get all orders (for admin dashboard)
 router.get('/', async (req, res) => {
   try {
-    const { shop, accessToken } = getSessionFromRequest(req);
+    const { shop, accessToken } = getSessionFromRequest(req, res);
     const options = {
       limit: parseInt(req.query.limit) || 50,
-      status: req.query.status || 'any'
+      status: req.query.status || 'any',
+      after: req.query.cursor
     };
     
     const result = await shopifyService.getOrders(shop, accessToken, options);
@@ -95,11 +110,44 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Order sync progress
+router.get('/sync', async (req, res) => {
+  try {
+    const { shop, accessToken } = getSessionFromRequest(req, res);
+    if (!shop || !accessToken) return sendNoSession(req, res);
+
+    res.json({ success: true, sync: await orderSyncService.getStatus(shop) });
+  } catch (error) {
+    console.error('Error fetching order sync status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Start syncing the shop's orders (or sync them again with force: true)
+router.post('/sync', async (req, res) => {
+  try {
+    const { shop, accessToken } = getSessionFromRequest(req, res);
+    if (!shop || !accessToken) return sendNoSession(req, res);
+
+    const sync = await orderSyncService.startBackfill(shop, accessToken, { force: Boolean(req.body?.force) });
+    res.status(202).json({ success: true, sync });
+  } catch (error) {
+    console.error('Error starting order sync:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // Get specific order details
 router.get('/:orderId', async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { shop, accessToken } = getSessionFromRequest(req);
+    const { shop, accessToken } = getSessionFromRequest(req, res);
     
     const result = await shopifyService.getOrderById(shop, accessToken, parseInt(orderId));
     
@@ -34,6 +34,9 @@ router.get('/', async (req, res) => {
       buttonTextColor: '#ffffff',
       fontFamily: 'inherit',
       borderRadius: '4px',
+      fulfillmentEventsEnabled: false,
+      orderMetafields: [],
+      orderTags: [],
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
@@ -116,6 +119,9 @@ router.post('/reset', async (req, res) => {
       buttonTextColor: '#ffffff',
       fontFamily: 'inherit',
       borderRadius: '4px',
+      fulfillmentEventsEnabled: false,
+      orderMetafields: [],
+      orderTags: [],
       updatedAt: new Date().toISOString()
     };
 
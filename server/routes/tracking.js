@@ -2,11 +2,15 @@ const express = require('express');
 const router = express.Router();
 const Database = require('../models/Database');
 const shopifyService = require('../services/shopifyService');
+const trackingService = require('../services/trackingService');
+const shipmentPoller = require('../services/shipmentPoller');
+const complianceService = require('../services/complianceService');
+const { verifyAppProxy } = require('../middleware/appProxy');
 
-// Public tracking lookup endpoint (no authentication required)
-router.post('/lookup/:shopDomain', async (req, res) => {
+// Public tracking lookup endpoint (storefront, through the app proxy)
+router.post('/lookup/:shopDomain', verifyAppProxy, async (req, res) => {
   try {
-    const { shopDomain } = req.params;
+    const { shopDomain } = req;
     const { orderNumber, email, phone } = req.body;
     
     if (!orderNumber || (!email && !phone)) {
@@ -39,8 +43,25 @@ router.post('/lookup/:shopDomain', async (req, res) => {
     );
     
     if (result.success) {
+      // Attach live carrier tracking to each shipment
+      result.order.fulfillments = await Promise.all(
+        (result.order.fulfillments || []).map(async fulfillment => ({
+          ...fulfillment,
+          tracking: fulfillment.tracking_number
+            ? await trackingService.getTrackingInfo(fulfillment.tracking_company, fulfillment.tracking_number)
+            : null
+        }))
+      );
+
+      // Store the results and keep polling these shipments for status changes
+      shipmentPoller.watchFulfillments(shopDomain, result.order, result.order.fulfillments)
+        .catch(error => console.error('Error watching shipments:', error.message));
+
       // Record analytics
-      await Database.recordTrackingView(shopDomain, orderNumber, req.get('User-Agent'), req.ip);
+      await Database.recordView(shopDomain, orderNumber, req.get('User-Agent'), req.ip, {
+        orderId: result.order.id,
+        contactHash: complianceService.hashContact(shopDomain, contactInfo)
+      });
       res.json(result);
     } else {
       res.status(404).json(result);
@@ -56,9 +77,9 @@ router.post('/lookup/:shopDomain', async (req, res) => {
 });
 
 // Get tracking page settings for public use
-router.get('/settings/:shopDomain', async (req, res) => {
+router.get('/settings/:shopDomain', verifyAppProxy, async (req, res) => {
   try {
-    const { shopDomain } = req.params;
+    const { shopDomain } = req;
     
     const settings = await Database.getSettings(shopDomain);
     
@@ -98,9 +119,9 @@ router.get('/settings/:shopDomain', async (req, res) => {
 });
 
 // Get recommended products for upselling
-router.get('/products/:shopDomain', async (req, res) => {
+router.get('/products/:shopDomain', verifyAppProxy, async (req, res) => {
   try {
-    const { shopDomain } = req.params;
+    const { shopDomain } = req;
     const { limit = 4 } = req.query;
     
     const settings = await Database.getSettings(shopDomain);
@@ -140,9 +161,9 @@ router.get('/products/:shopDomain', async (req, res) => {
 });
 
 // Record tracking page view (for analytics)
-router.post('/analytics/:shopDomain/view', async (req, res) => {
+router.post('/analytics/:shopDomain/view', verifyAppProxy, async (req, res) => {
   try {
-    const { shopDomain } = req.params;
+    const { shopDomain } = req;
     const { order_number, page_type } = req.body;
     
     // Get client IP address
@@ -164,19 +185,11 @@ router.post('/analytics/:shopDomain/view', async (req, res) => {
   }
 });
 
-// Record tracking block analytics
-router.post('/analytics/track', async (req, res) => {
+// Record storefront analytics events (tracking page and block)
+router.post('/analytics/track', verifyAppProxy, async (req, res) => {
   try {
-    const { event, order_number, block_id, timestamp } = req.body;
-    
-    // Extract shop domain from referrer or request
-    const referrer = req.get('Referer') || '';
-    const shopDomain = referrer.match(/https?:\/\/([^.]+)\.myshopify\.com/)?.[1] + '.myshopify.com' || 
-                      req.get('X-Shop-Domain') || '';
-    
-    if (!shopDomain) {
-      return res.status(400).json({ error: 'Shop domain not found' });
-    }
+    const { event, order_number } = req.body;
+    const { shopDomain } = req;
     
     // Get client IP address
     const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress || 
@@ -199,17 +212,37 @@ router.post('/analytics/track', async (req, res) => {
   }
 });
 
+// Carrier API usage against the daily budgets
+router.get('/usage', async (req, res) => {
+  try {
+    const { days = 7 } = req.query;
+
+    res.json({
+      success: true,
+      usage: await trackingService.getCarrierUsage(),
+      history: await Database.getCarrierUsageHistory(parseInt(days))
+    });
+  } catch (error) {
+    console.error('Error fetching carrier usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch carrier API usage'
+    });
+  }
+});
+
 // Helper function to get shop access token from database
+// Outside production, SHOPIFY_ACCESS_TOKEN can stand in for shops that haven't
+// installed the app; in production a shop only ever uses its own token.
 async function getShopAccessToken(shopDomain) {
+  const devFallback = process.env.NODE_ENV !== 'production' ? process.env.SHOPIFY_ACCESS_TOKEN : null;
+
   try {
-    // For now, we'll need to implement shop data storage in the database
-    // This is a placeholder - in production, you'd store shop access tokens
-    // after the OAuth flow and retrieve them here
-    const shopData = await Database.getShopData?.(shopDomain);
-    return shopData?.accessToken || process.env.SHOPIFY_ACCESS_TOKEN;
+    const shopData = await Database.getShopData(shopDomain);
+    return shopData?.access_token || devFallback || null;
   } catch (error) {
     console.error('Error getting shop access token:', error);
-    return process.env.SHOPIFY_ACCESS_TOKEN; // Fallback for development
+    return devFallback || null;
   }
 }
 
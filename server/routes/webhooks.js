@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const shopifyService = require('../services/shopifyService');
+const webhookService = require('../services/webhookService');
+
+// Shopify webhooks (see webhookService for topics). Mounted before the JSON
+// body parser: the HMAC is computed over the exact bytes Shopify sent.
+router.post('/:resource/:event', express.raw({ type: '*/*' }), async (req, res) => {
+  const topic = `${req.params.resource}/${req.params.event}`;
+  const shop = req.get('x-shopify-shop-domain');
+  const webhookId = req.get('x-shopify-webhook-id');
+
+  if (!webhookService.handles(topic)) {
+    return res.status(404).send('Unknown webhook topic');
+  }
+
+  // express.raw leaves req.body as {} when the request has no body
+  if (!Buffer.isBuffer(req.body) || !shopifyService.validateWebhook(req.body, req.get('x-shopify-hmac-sha256'))) {
+    console.log(`❌ Rejected ${topic} webhook with invalid signature`);
+    return res.status(401).send('Invalid webhook signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch (error) {
+    return res.status(400).send('Invalid webhook body');
+  }
+
+  try {
+    await webhookService.process({ topic, shop, webhookId, payload });
+    res.status(200).send('OK');
+  } catch (error) {
+    // Non-2xx makes Shopify retry the delivery
+    console.error(`❌ Error handling ${topic} webhook for ${shop}:`, error);
+    res.status(500).send('Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Encryption key CLI
+ *
+ *   npm run keys:generate -- [id]              Print a new ENCRYPTION_KEYS entry
+ *   npm run keys:encrypt -- <ENV_VAR> <value>  Encrypt a carrier credential for the environment
+ *   npm run keys:rotate                        Re-encrypt stored shop tokens with the current key
+ *
+ * To rotate, put the new key first in ENCRYPTION_KEYS and keep the old ones
+ * after it, run keys:rotate, then remove the old keys. Encrypted carrier
+ * credentials have to be re-encrypted with keys:encrypt before their key is
+ * removed.
+ */
+
+const path = require('path');
+
+// Same environment files as index.js
+require('dotenv').config({
+  path: path.join(__dirname, process.env.NODE_ENV === 'production' ? '../../.env.production' : '../../.env')
+});
+
+const encryption = require('../services/encryption');
+
+async function rotate() {
+  // Rotation runs against an up-to-date schema; don't migrate on connect
+  process.env.DATABASE_AUTO_MIGRATE = 'false';
+  const Database = require('../models/Database');
+
+  try {
+    await Database.ready;
+    const { rotated, failed } = await Database.rotateShopTokens();
+
+    console.log(`✅ Re-encrypted ${rotated} shop access token(s) with key "${encryption.getCurrentKeyId()}"`);
+    for (const { shopDomain, error } of failed) {
+      console.error(`❌ ${shopDomain}: ${error}`);
+    }
+    if (failed.length > 0) process.exitCode = 1;
+  } finally {
+    await Database.close();
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'generate': {
+      const id = args[0] || new Date().toISOString().slice(0, 10);
+      console.log(`${id}:${encryption.generateKey()}`);
+      break;
+    }
+
+    case 'encrypt': {
+      const [envVar, value] = args;
+      if (!envVar || !value) {
+        throw new Error('Usage: keys:encrypt -- <ENV_VAR> <value>');
+      }
+      // The variable name is bound to the value, so it only decrypts there
+      console.log(`${envVar}=${encryption.encryptInline(value, envVar)}`);
+      break;
+    }
+
+    case 'rotate':
+      await rotate();
+      break;
+
+    default:
+      throw new Error(`Unknown command "${command}". Use generate, encrypt or rotate.`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Database migration CLI
+ *
+ *   npm run migrate                 Apply pending migrations
+ *   npm run migrate -- down [n]     Roll back the last n migrations (default 1)
+ *   npm run migrate -- status       List migrations and whether they are applied
+ */
+
+const path = require('path');
+
+// Same environment files as index.js
+require('dotenv').config({
+  path: path.join(__dirname, process.env.NODE_ENV === 'production' ? '../../.env.production' : '../../.env')
+});
+
+// The CLI decides what to run; don't migrate on connect
+process.env.DATABASE_AUTO_MIGRATE = 'false';
+
+const Database = require('../models/Database');
+const Migrator = require('../models/Migrator');
+
+async function main() {
+  const [command = 'up', argument] = process.argv.slice(2);
+
+  await Database.ready;
+  const migrator = new Migrator(Database.storage);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.migrate();
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+      break;
+    }
+
+    case 'down': {
+      const steps = argument ? parseInt(argument, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of migrations to roll back: ${argument}`);
+      }
+      const rolledBack = await migrator.rollback(steps);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+
+    case 'status': {
+      const migrations = await migrator.status();
+      for (const migration of migrations) {
+        const state = migration.missing
+          ? `applied ${migration.appliedAt} (file missing)`
+          : migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}: ${state}`);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down [n] or status.`);
+  }
+}
+
+main()
+  .then(() => {
+    Database.close();
+  })
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    Database.close();
+    process.exitCode = 1;
+  });
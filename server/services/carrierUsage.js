@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const Database = require('../models/Database');
+const carrierRegistry = require('./carriers');
+const { TokenBucket, RateLimitError } = require('./carriers/rateLimiter');
+
+/**
+ * Carrier API rate limiting and daily request budgets
+ *
+ * Limits apply per carrier credential, since that is what carrier quotas are
+ * attached to. Daily counts are kept in memory and written through to the
+ * database so they survive restarts; days are UTC.
+ */
+class CarrierUsage {
+  constructor(store) {
+    this.store = store;
+    this.buckets = new Map();
+    this.counters = new Map();
+  }
+
+  /**
+   * Reserve one request against the carrier's rate limit and daily budget
+   * Call it before every attempt, retries included: the check and the count
+   * happen together, so concurrent lookups cannot overspend the budget.
+   * @param {CarrierAdapter} adapter - Carrier adapter
+   * @throws {RateLimitError} When the request should not be sent
+   */
+  async acquire(adapter) {
+    const { dailyBudget } = adapter.getRateLimit();
+    const counter = await this.getCounter(adapter);
+
+    if (dailyBudget && counter.requests >= dailyBudget) {
+      this.reject(adapter, counter);
+      throw new RateLimitError(adapter.name, 'budget');
+    }
+
+    if (!this.getBucket(adapter).tryRemove()) {
+      this.reject(adapter, counter);
+      throw new RateLimitError(adapter.name, 'rate');
+    }
+
+    counter.requests++;
+    this.persist(adapter, { requests: 1 });
+  }
+
+  /**
+   * Today's usage for every carrier with an API
+   * @returns {Promise<Array<Object>>} { code, name, configured, date, requests, rejected, dailyBudget, requestsPerSecond, remaining }
+   */
+  async getUsage() {
+    const adapters = carrierRegistry.list()
+      .filter(adapter => Object.keys(adapter.credentials).length > 0);
+
+    return Promise.all(adapters.map(async adapter => {
+      const { requestsPerSecond, dailyBudget } = adapter.getRateLimit();
+      const counter = adapter.isConfigured()
+        ? await this.getCounter(adapter)
+        : { date: this.today(), requests: 0, rejected: 0 };
+
+      return {
+        code: adapter.code,
+        name: adapter.name,
+        configured: adapter.isConfigured(),
+        date: counter.date,
+        requests: counter.requests,
+        rejected: counter.rejected,
+        requestsPerSecond,
+        dailyBudget,
+        remaining: dailyBudget ? Math.max(0, dailyBudget - counter.requests) : null
+      };
+    }));
+  }
+
+  reject(adapter, counter) {
+    counter.rejected++;
+    this.persist(adapter, { rejected: 1 });
+  }
+
+  persist(adapter, counts) {
+    this.store.incrementCarrierUsage(adapter.code, this.credentialId(adapter), this.today(), counts)
+      .catch(error => console.error('Error recording carrier API usage:', error.message));
+  }
+
+  // Today's counter, loaded from the database on first use each day
+  async getCounter(adapter) {
+    const key = this.credentialId(adapter);
+    const today = this.today();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.date !== today) {
+      counter = { date: today, requests: 0, rejected: 0, loading: null };
+      this.counters.set(key, counter);
+
+      counter.loading = this.store.getCarrierUsage(adapter.code, key, today)
+        .then(stored => {
+          counter.requests += stored.requests;
+          counter.rejected += stored.rejected;
+        })
+        .catch(error => console.error('Error loading carrier API usage:', error.message));
+    }
+
+    await counter.loading;
+    return counter;
+  }
+
+  getBucket(adapter) {
+    const key = this.credentialId(adapter);
+    const { requestsPerSecond } = adapter.getRateLimit();
+    let bucket = this.buckets.get(key);
+
+    if (!bucket || bucket.refillPerSecond !== requestsPerSecond) {
+      bucket = new TokenBucket({ refillPerSecond: requestsPerSecond });
+      this.buckets.set(key, bucket);
+    }
+
+    return bucket;
+  }
+
+  // Identify the credential without storing it
+  credentialId(adapter) {
+    const [identity = ''] = Object.values(adapter.getCredentials());
+    const hash = crypto.createHash('sha256').update(`${adapter.code}:${identity}`).digest('hex');
+    return `${adapter.code}:${hash.slice(0, 12)}`;
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+}
+
+module.exports = new CarrierUsage(Database);
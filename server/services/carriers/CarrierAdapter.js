@@ -0,0 +1,147 @@
+const { CircuitBreaker } = require('./resilience');
+const encryption = require('../encryption');
+
+// Per-attempt timeout for carrier API requests
+const REQUEST_TIMEOUT_MS = 5000;
+
+// API quota when the adapter doesn't declare one; no daily budget
+const DEFAULT_RATE_LIMIT = { requestsPerSecond: 5, dailyBudget: null };
+
+/**
+ * Base class for carrier adapters
+ *
+ * Each adapter in ./adapters describes a single carrier: the names merchants
+ * use for it, how to build a public tracking URL, which environment variables
+ * it needs for live data, and how to fetch tracking from the carrier API.
+ */
+class CarrierAdapter {
+  /**
+   * @param {Object} definition - Carrier definition
+   * @param {string} definition.code - Stable carrier code (e.g. 'ups')
+   * @param {string} definition.name - Display name (e.g. 'UPS')
+   * @param {string[]} definition.aliases - Lowercase names that identify the carrier
+   * @param {string} definition.trackingUrl - URL template containing {trackingNumber}
+   * @param {Object} [definition.credentials] - Map of credential name to env variable
+   * @param {Object} [definition.apiBaseUrls] - { production, sandbox } API base URLs
+   * @param {string} [definition.environmentVariable] - Env variable selecting 'sandbox' or 'production'
+   * @param {Object} [definition.rateLimit] - { requestsPerSecond, dailyBudget } carrier API quota
+   */
+  constructor({
+    code, name, aliases = [], trackingUrl, credentials = {}, apiBaseUrls = {}, environmentVariable, rateLimit = {}
+  }) {
+    this.code = code;
+    this.name = name;
+    this.aliases = [code, name.toLowerCase(), ...aliases];
+    this.trackingUrlTemplate = trackingUrl;
+    this.credentials = credentials;
+    this.apiBaseUrls = apiBaseUrls;
+    this.environmentVariable = environmentVariable;
+    this.rateLimit = { ...DEFAULT_RATE_LIMIT, ...rateLimit };
+    this.requestTimeout = REQUEST_TIMEOUT_MS;
+    this.breaker = new CircuitBreaker({ name });
+  }
+
+  /**
+   * Carrier API base URL for the configured environment
+   * @returns {string} Sandbox URL when the environment variable is 'sandbox', else production
+   */
+  getApiBaseUrl() {
+    const environment = this.environmentVariable && process.env[this.environmentVariable];
+    return environment === 'sandbox' && this.apiBaseUrls.sandbox
+      ? this.apiBaseUrls.sandbox
+      : this.apiBaseUrls.production;
+  }
+
+  /**
+   * API quota for this carrier
+   * <CODE>_REQUESTS_PER_SECOND and <CODE>_DAILY_BUDGET (e.g. UPS_DAILY_BUDGET)
+   * override the adapter's defaults; a daily budget of 0 means unlimited.
+   * @returns {Object} { requestsPerSecond, dailyBudget }
+   */
+  getRateLimit() {
+    const prefix = this.code.toUpperCase();
+    const requestsPerSecond = Number(process.env[`${prefix}_REQUESTS_PER_SECOND`]) || this.rateLimit.requestsPerSecond;
+    const budgetSetting = process.env[`${prefix}_DAILY_BUDGET`];
+    const dailyBudget = budgetSetting !== undefined && budgetSetting !== ''
+      ? Number(budgetSetting) || null
+      : this.rateLimit.dailyBudget;
+
+    return { requestsPerSecond, dailyBudget };
+  }
+
+  /**
+   * Build the public tracking URL for a tracking number
+   * @param {string} trackingNumber - Tracking number
+   * @returns {string} Carrier tracking URL
+   */
+  buildTrackingUrl(trackingNumber) {
+    return this.trackingUrlTemplate.replace('{trackingNumber}', encodeURIComponent(trackingNumber));
+  }
+
+  /**
+   * Read the declared credentials from the environment
+   *
+   * Values may be encrypted (enc:<keyId>:..., see `npm run keys:encrypt`);
+   * a value that can't be decrypted is treated as missing.
+   *
+   * @returns {Object} Credential values keyed by credential name
+   */
+  getCredentials() {
+    const values = {};
+    for (const [key, envVar] of Object.entries(this.credentials)) {
+      try {
+        values[key] = encryption.decryptInline(process.env[envVar], envVar);
+      } catch (error) {
+        console.error(`Can't decrypt ${envVar}:`, error.message);
+        values[key] = undefined;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Whether live tracking is available for this carrier
+   * @returns {boolean} True when the adapter has an API and all credentials are set
+   */
+  isConfigured() {
+    const required = Object.keys(this.credentials);
+    if (required.length === 0) return false;
+
+    const values = this.getCredentials();
+    return required.every(key => !!values[key]);
+  }
+
+  /**
+   * Score how likely a tracking number belongs to this carrier
+   *
+   * Adapters override this with their number formats. A valid check digit
+   * should score higher than a length/prefix match alone.
+   *
+   * @param {string} trackingNumber - Uppercase tracking number without spaces
+   * @returns {number} Confidence between 0 (no match) and 1
+   */
+  detect(trackingNumber) {
+    return 0;
+  }
+
+  /**
+   * Fetch live tracking from the carrier API
+   *
+   * Adapters without a carrier API keep this default, which makes the
+   * tracking service fall back to a link-out result.
+   *
+   * The result is { status, carrierStatus, estimatedDelivery, events, message }
+   * where status is a shipmentEvents STATUS code, carrierStatus the carrier's
+   * own text, events are built with shipmentEvents.createEvent() and the
+   * optional message is a carrier notice to show alongside the status.
+   *
+   * @param {string} trackingNumber - Tracking number
+   * @param {Object} credentials - Values returned by getCredentials()
+   * @returns {Promise<Object|null>} Tracking data or null when unavailable
+   */
+  async track(trackingNumber, credentials) {
+    return null;
+  }
+}
+
+module.exports = CarrierAdapter;
@@ -0,0 +1,137 @@
+const axios = require('axios');
+
+// Refresh tokens this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * OAuth client-credentials token cache for a carrier API
+ *
+ * Tokens are cached per base URL and client ID until shortly before they
+ * expire. Inside the refresh margin the cached token is still returned while
+ * a new one is fetched in the background, so requests never wait on a
+ * refresh until the token has actually expired.
+ */
+class OAuthTokenManager {
+  /**
+   * @param {Object} options - Token endpoint configuration
+   * @param {string} options.carrier - Carrier name used in log messages
+   * @param {string} options.tokenPath - Token endpoint path relative to the API base URL
+   * @param {string} [options.clientAuth] - 'basic' to send the client credentials as an
+   *   Authorization header, 'body' to send them as form fields
+   * @param {number} [options.refreshMargin] - Milliseconds before expiry to refresh
+   */
+  constructor({ carrier, tokenPath, clientAuth = 'basic', refreshMargin = REFRESH_MARGIN_MS }) {
+    this.carrier = carrier;
+    this.tokenPath = tokenPath;
+    this.clientAuth = clientAuth;
+    this.refreshMargin = refreshMargin;
+    this.tokens = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Get a valid access token, requesting a new one when needed
+   * @param {string} baseUrl - Carrier API base URL (production or sandbox)
+   * @param {Object} credentials - { clientId, clientSecret }
+   * @param {Object} [options] - { forceRefresh }
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(baseUrl, credentials, { forceRefresh = false } = {}) {
+    const key = this.cacheKey(baseUrl, credentials);
+    const cached = this.tokens.get(key);
+    const now = Date.now();
+
+    if (!forceRefresh && cached && cached.expiresAt > now) {
+      if (cached.expiresAt - now < this.refreshMargin) {
+        this.refresh(baseUrl, credentials).catch(error => {
+          console.error(`${this.carrier} token refresh failed:`, error.message);
+        });
+      }
+      return cached.accessToken;
+    }
+
+    return this.refresh(baseUrl, credentials);
+  }
+
+  /**
+   * Send a request with a bearer token, re-authenticating once on 401
+   * @param {string} baseUrl - Carrier API base URL
+   * @param {Object} credentials - { clientId, clientSecret }
+   * @param {Function} sendRequest - async (accessToken) => response
+   * @returns {Promise<*>} The request's response
+   */
+  async authorizedRequest(baseUrl, credentials, sendRequest) {
+    const accessToken = await this.getAccessToken(baseUrl, credentials);
+
+    try {
+      return await sendRequest(accessToken);
+    } catch (error) {
+      if (error.response?.status !== 401) throw error;
+
+      console.warn(`${this.carrier} rejected access token, re-authenticating`);
+      this.invalidate(baseUrl, credentials);
+      const freshToken = await this.getAccessToken(baseUrl, credentials, { forceRefresh: true });
+      return sendRequest(freshToken);
+    }
+  }
+
+  /**
+   * Drop a cached token
+   * @param {string} baseUrl - Carrier API base URL
+   * @param {Object} credentials - { clientId }
+   */
+  invalidate(baseUrl, credentials) {
+    this.tokens.delete(this.cacheKey(baseUrl, credentials));
+  }
+
+  // Request a new token; concurrent callers share one request
+  refresh(baseUrl, credentials) {
+    const key = this.cacheKey(baseUrl, credentials);
+
+    if (!this.pending.has(key)) {
+      const request = this.requestToken(baseUrl, credentials)
+        .then(token => {
+          this.tokens.set(key, token);
+          return token.accessToken;
+        })
+        .finally(() => this.pending.delete(key));
+
+      this.pending.set(key, request);
+    }
+
+    return this.pending.get(key);
+  }
+
+  async requestToken(baseUrl, { clientId, clientSecret }) {
+    const form = new URLSearchParams({ grant_type: 'client_credentials' });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (this.clientAuth === 'basic') {
+      headers['Authorization'] = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+    } else {
+      form.set('client_id', clientId);
+      form.set('client_secret', clientSecret);
+    }
+
+    const response = await axios.post(`${baseUrl}${this.tokenPath}`, form.toString(), {
+      headers,
+      timeout: 10000
+    });
+
+    const { access_token: accessToken, expires_in: expiresIn } = response.data;
+    if (!accessToken) {
+      throw new Error(`${this.carrier} token response did not include an access token`);
+    }
+
+    return {
+      accessToken,
+      expiresAt: Date.now() + Number(expiresIn || 0) * 1000
+    };
+  }
+
+  cacheKey(baseUrl, credentials) {
+    return `${baseUrl}|${credentials.clientId}`;
+  }
+}
+
+module.exports = OAuthTokenManager;
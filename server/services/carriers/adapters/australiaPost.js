@@ -0,0 +1,25 @@
+const CarrierAdapter = require('../CarrierAdapter');
+const { isValidS10 } = require('../checkDigits');
+
+class AustraliaPostAdapter extends CarrierAdapter {
+  constructor() {
+    super({
+      code: 'australia_post',
+      name: 'Australia Post',
+      aliases: ['auspost'],
+      trackingUrl: 'https://auspost.com.au/mypost/track/#/details/{trackingNumber}'
+    });
+  }
+
+  /**
+   * S10 international items ending in AU
+   */
+  detect(trackingNumber) {
+    if (/^[A-Z]{2}\d{9}AU$/.test(trackingNumber)) {
+      return isValidS10(trackingNumber) ? 0.95 : 0.5;
+    }
+    return 0;
+  }
+}
+
+module.exports = new AustraliaPostAdapter();
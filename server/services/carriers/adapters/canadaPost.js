@@ -0,0 +1,28 @@
+const CarrierAdapter = require('../CarrierAdapter');
+const { isValidS10 } = require('../checkDigits');
+
+class CanadaPostAdapter extends CarrierAdapter {
+  constructor() {
+    super({
+      code: 'canada_post',
+      name: 'Canada Post',
+      aliases: ['postes canada'],
+      trackingUrl: 'https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor={trackingNumber}'
+    });
+  }
+
+  /**
+   * S10 international items ending in CA
+   */
+  detect(trackingNumber) {
+    if (/^[A-Z]{2}\d{9}CA$/.test(trackingNumber)) {
+      return isValidS10(trackingNumber) ? 0.95 : 0.5;
+    }
+
+    // Domestic parcels use a 16 digit PIN
+    if (/^\d{16}$/.test(trackingNumber)) return 0.4;
+    return 0;
+  }
+}
+
+module.exports = new CanadaPostAdapter();
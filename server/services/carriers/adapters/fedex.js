@@ -0,0 +1,118 @@
+const axios = require('axios');
+const CarrierAdapter = require('../CarrierAdapter');
+const OAuthTokenManager = require('../OAuthTokenManager');
+const { isValidMod10, isValidFedExExpress } = require('../checkDigits');
+const { STATUS, createEvent, normalizeStatus } = require('../../shipmentEvents');
+
+// FedEx scan event types
+const EVENT_TYPES = {
+  OC: STATUS.LABEL_CREATED,
+  PU: STATUS.PICKED_UP,
+  AR: STATUS.IN_TRANSIT,
+  DP: STATUS.IN_TRANSIT,
+  IT: STATUS.IN_TRANSIT,
+  AF: STATUS.IN_TRANSIT,
+  OD: STATUS.OUT_FOR_DELIVERY,
+  DL: STATUS.DELIVERED,
+  DE: STATUS.EXCEPTION,
+  SE: STATUS.EXCEPTION,
+  CA: STATUS.EXCEPTION,
+  RS: STATUS.RETURNED
+};
+
+class FedExAdapter extends CarrierAdapter {
+  constructor() {
+    super({
+      code: 'fedex',
+      name: 'FedEx',
+      aliases: ['fed ex', 'federal express', 'fedex ground', 'fedex express'],
+      trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}',
+      credentials: { clientId: 'FEDEX_CLIENT_ID', clientSecret: 'FEDEX_CLIENT_SECRET' },
+      apiBaseUrls: {
+        production: 'https://apis.fedex.com',
+        sandbox: 'https://apis-sandbox.fedex.com'
+      },
+      environmentVariable: 'FEDEX_ENVIRONMENT'
+    });
+
+    this.tokens = new OAuthTokenManager({
+      carrier: 'FedEx',
+      tokenPath: '/oauth/token',
+      clientAuth: 'body'
+    });
+  }
+
+  /**
+   * Express (12 digits), Ground (15 digits), Ground 96 (22 digits) and
+   * SmartPost (20 digits, shares the USPS IMpb format)
+   */
+  detect(trackingNumber) {
+    if (/^\d{12}$/.test(trackingNumber)) {
+      return isValidFedExExpress(trackingNumber) ? 0.8 : 0.3;
+    }
+    if (/^\d{15}$/.test(trackingNumber)) {
+      return isValidMod10(trackingNumber) ? 0.75 : 0.3;
+    }
+    if (/^96\d{20}$/.test(trackingNumber)) {
+      return isValidMod10(trackingNumber.slice(7)) ? 0.85 : 0.4;
+    }
+    if (/^\d{20}$/.test(trackingNumber)) {
+      return isValidMod10(trackingNumber) ? 0.35 : 0.1;
+    }
+    return 0;
+  }
+
+  /**
+   * FedEx Track API integration
+   */
+  async track(trackingNumber, credentials) {
+    const baseUrl = this.getApiBaseUrl();
+    const response = await this.tokens.authorizedRequest(baseUrl, credentials, accessToken =>
+      axios.post(`${baseUrl}/track/v1/trackingnumbers`, {
+        includeDetailedScans: true,
+        trackingInfo: [{
+          trackingNumberInfo: {
+            trackingNumber: trackingNumber
+          }
+        }]
+      }, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.requestTimeout
+      })
+    );
+
+    const trackInfo = response.data.output?.completeTrackResults?.[0]?.trackResults?.[0];
+    if (!trackInfo) return null;
+
+    return {
+      status: toStatus(trackInfo.latestStatusDetail?.code, trackInfo.latestStatusDetail?.description),
+      carrierStatus: trackInfo.latestStatusDetail?.description,
+      estimatedDelivery: trackInfo.estimatedDeliveryTimeWindow?.window?.ends || null,
+      events: trackInfo.scanEvents?.map(event => createEvent({
+        timestamp: event.date,
+        location: toLocation(event.scanLocation),
+        status: toStatus(event.eventType, event.eventDescription),
+        carrierStatusCode: event.eventType,
+        description: event.eventDescription
+      })) || []
+    };
+  }
+}
+
+function toStatus(code, description) {
+  return EVENT_TYPES[code] || normalizeStatus(description);
+}
+
+function toLocation(scanLocation) {
+  return scanLocation && {
+    city: scanLocation.city,
+    state: scanLocation.stateOrProvinceCode,
+    postalCode: scanLocation.postalCode,
+    country: scanLocation.countryCode
+  };
+}
+
+module.exports = new FedExAdapter();
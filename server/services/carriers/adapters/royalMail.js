@@ -0,0 +1,24 @@
+const CarrierAdapter = require('../CarrierAdapter');
+const { isValidS10 } = require('../checkDigits');
+
+class RoyalMailAdapter extends CarrierAdapter {
+  constructor() {
+    super({
+      code: 'royal_mail',
+      name: 'Royal Mail',
+      trackingUrl: 'https://www.royalmail.com/track-your-item#/tracking-results/{trackingNumber}'
+    });
+  }
+
+  /**
+   * S10 international items ending in GB
+   */
+  detect(trackingNumber) {
+    if (/^[A-Z]{2}\d{9}GB$/.test(trackingNumber)) {
+      return isValidS10(trackingNumber) ? 0.95 : 0.5;
+    }
+    return 0;
+  }
+}
+
+module.exports = new RoyalMailAdapter();
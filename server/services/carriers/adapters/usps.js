@@ -0,0 +1,85 @@
+const axios = require('axios');
+const CarrierAdapter = require('../CarrierAdapter');
+const { isValidMod10, isValidS10 } = require('../checkDigits');
+const { parseTrackResponse } = require('../parsers/usps');
+
+class USPSAdapter extends CarrierAdapter {
+  constructor() {
+    super({
+      code: 'usps',
+      name: 'USPS',
+      aliases: ['united states postal service', 'us postal service', 'us mail'],
+      trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}',
+      credentials: { userId: 'USPS_API_KEY' }
+    });
+  }
+
+  /**
+   * IMpb barcodes (20-22 digits, optionally prefixed with a 420 ZIP routing
+   * code) and S10 international items ending in US
+   */
+  detect(trackingNumber) {
+    if (/^[A-Z]{2}\d{9}US$/.test(trackingNumber)) {
+      return isValidS10(trackingNumber) ? 0.95 : 0.5;
+    }
+
+    const digits = trackingNumber.replace(/^420(\d{9}|\d{5})(?=9\d{19,21}$)/, '');
+    if (!/^\d{20,22}$/.test(digits)) return 0;
+
+    const valid = isValidMod10(digits);
+    if (/^9[1-5]/.test(digits)) {
+      return valid ? 0.9 : 0.5;
+    }
+    return valid ? 0.5 : 0.2;
+  }
+
+  /**
+   * USPS Tracking API integration (TrackFieldRequest for per-event fields)
+   */
+  async track(trackingNumber, credentials) {
+    const xml = '<TrackFieldRequest USERID="' + escapeXml(credentials.userId) + '">' +
+      '<Revision>1</Revision>' +
+      '<ClientIp>127.0.0.1</ClientIp>' +
+      '<SourceId>smart-order-tracking</SourceId>' +
+      '<TrackID ID="' + escapeXml(trackingNumber) + '"></TrackID>' +
+      '</TrackFieldRequest>';
+
+    const response = await axios.get('https://secure.shippingapis.com/ShippingAPI.dll', {
+      params: {
+        API: 'TrackV2',
+        XML: xml
+      },
+      timeout: this.requestTimeout
+    });
+
+    const [result] = parseTrackResponse(response.data);
+    if (!result) return null;
+
+    // e.g. "A status update is not yet available" for labels not scanned yet
+    if (result.error) {
+      return {
+        status: result.status,
+        carrierStatus: result.error.description,
+        message: result.error.description,
+        events: []
+      };
+    }
+
+    return {
+      status: result.status,
+      carrierStatus: result.carrierStatus,
+      estimatedDelivery: result.estimatedDelivery,
+      events: result.events
+    };
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = new USPSAdapter();
@@ -0,0 +1,97 @@
+/**
+ * Check digit algorithms used by carrier tracking number formats
+ */
+
+/**
+ * GS1 / USS-128 mod 10 (USPS IMpb, FedEx Ground, SSCC)
+ * Digits are weighted 3,1,3,1... starting from the rightmost data digit.
+ * @param {string} digits - Digits including the trailing check digit
+ * @returns {boolean} Whether the check digit is valid
+ */
+function isValidMod10(digits) {
+  if (!/^\d{2,}$/.test(digits)) return false;
+
+  const data = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < data.length; i++) {
+    const digit = Number(data[data.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+
+  return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+}
+
+/**
+ * FedEx Express 12-digit check (weights 1,3,7 from the right, mod 11)
+ * @param {string} digits - 12 digit tracking number
+ * @returns {boolean} Whether the check digit is valid
+ */
+function isValidFedExExpress(digits) {
+  if (!/^\d{12}$/.test(digits)) return false;
+
+  const weights = [1, 3, 7];
+  const data = digits.slice(0, 11);
+  let sum = 0;
+  for (let i = 0; i < data.length; i++) {
+    sum += Number(data[data.length - 1 - i]) * weights[i % 3];
+  }
+
+  return (sum % 11) % 10 === Number(digits[11]);
+}
+
+/**
+ * UPS 1Z check digit
+ * Letters map to digits as (charCode - 63) % 10, odd positions are added and
+ * even positions doubled over the 15 characters following "1Z".
+ * @param {string} trackingNumber - 18 character 1Z tracking number
+ * @returns {boolean} Whether the check digit is valid
+ */
+function isValidUPS(trackingNumber) {
+  if (!/^1Z[0-9A-Z]{16}$/.test(trackingNumber)) return false;
+
+  const data = trackingNumber.slice(2, 17);
+  let sum = 0;
+  for (let i = 0; i < data.length; i++) {
+    const char = data[i];
+    const value = /\d/.test(char) ? Number(char) : (char.charCodeAt(0) - 63) % 10;
+    sum += i % 2 === 0 ? value : value * 2;
+  }
+
+  return (10 - (sum % 10)) % 10 === Number(trackingNumber[17]);
+}
+
+/**
+ * DHL Express 10-digit waybill (check digit is the first 9 digits mod 7)
+ * @param {string} digits - 10 digit waybill number
+ * @returns {boolean} Whether the check digit is valid
+ */
+function isValidMod7(digits) {
+  if (!/^\d{10}$/.test(digits)) return false;
+  return Number(digits.slice(0, 9)) % 7 === Number(digits[9]);
+}
+
+/**
+ * UPU S10 international item identifier, e.g. RR123456785GB
+ * @param {string} trackingNumber - 13 character S10 identifier
+ * @returns {boolean} Whether the check digit is valid
+ */
+function isValidS10(trackingNumber) {
+  const match = trackingNumber.match(/^[A-Z]{2}(\d{8})(\d)[A-Z]{2}$/);
+  if (!match) return false;
+
+  const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+  const sum = match[1].split('').reduce((total, digit, i) => total + Number(digit) * weights[i], 0);
+  let check = 11 - (sum % 11);
+  if (check === 10) check = 0;
+  if (check === 11) check = 5;
+
+  return check === Number(match[2]);
+}
+
+module.exports = {
+  isValidMod10,
+  isValidFedExExpress,
+  isValidUPS,
+  isValidMod7,
+  isValidS10
+};
@@ -0,0 +1,80 @@
+const carrierRegistry = require('./index');
+
+// Minimum confidence before a detected carrier is used in place of the merchant's
+const MIN_CONFIDENCE = 0.5;
+
+/**
+ * Normalize a tracking number for format matching
+ * @param {string} trackingNumber - Tracking number as entered
+ * @returns {string} Uppercase tracking number without spaces or dashes
+ */
+function normalizeTrackingNumber(trackingNumber) {
+  return String(trackingNumber || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Detect carriers from the tracking number format
+ * @param {string} trackingNumber - Tracking number
+ * @param {CarrierAdapter[]} [adapters] - Limit detection to these adapters
+ * @returns {Array<Object>} Candidates ({ code, name, confidence }) ranked by confidence
+ */
+function detectCarriers(trackingNumber, adapters = carrierRegistry.list()) {
+  const normalized = normalizeTrackingNumber(trackingNumber);
+  if (!normalized) return [];
+
+  return adapters
+    .map(adapter => ({
+      code: adapter.code,
+      name: adapter.name,
+      confidence: adapter.detect(normalized)
+    }))
+    .filter(candidate => candidate.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Pick the carrier adapter for a shipment
+ *
+ * The merchant's carrier name wins when it identifies exactly one carrier.
+ * When it is missing, unknown (e.g. "Other") or matches several carriers,
+ * the tracking number format decides.
+ *
+ * @param {string} carrierName - Carrier name from the fulfillment, may be empty
+ * @param {string} trackingNumber - Tracking number
+ * @returns {Object} { adapter, detected, candidates }
+ */
+function resolveCarrier(carrierName, trackingNumber) {
+  const matches = carrierRegistry.match(carrierName);
+
+  if (matches.length === 1) {
+    return { adapter: matches[0], detected: false, candidates: [] };
+  }
+
+  // Prefer the carriers the name could mean, then any carrier
+  if (matches.length > 1) {
+    const narrowed = pickCandidate(detectCarriers(trackingNumber, matches));
+    if (narrowed.adapter) return narrowed;
+  }
+
+  return pickCandidate(detectCarriers(trackingNumber));
+}
+
+function pickCandidate(candidates) {
+  const best = candidates[0];
+
+  // Two equally likely carriers is not a detection
+  const isTied = candidates.length > 1 && candidates[1].confidence === best.confidence;
+
+  if (best && best.confidence >= MIN_CONFIDENCE && !isTied) {
+    return { adapter: carrierRegistry.get(best.code), detected: true, candidates };
+  }
+
+  return { adapter: null, detected: false, candidates };
+}
+
+module.exports = {
+  MIN_CONFIDENCE,
+  normalizeTrackingNumber,
+  detectCarriers,
+  resolveCarrier
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const CarrierAdapter = require('./CarrierAdapter');
+
+class CarrierRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.discover(path.join(__dirname, 'adapters'));
+  }
+
+  /**
+   * Load every adapter module found in a directory
+   * @param {string} directory - Directory containing adapter modules
+   */
+  discover(directory) {
+    const files = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    files.forEach(file => this.register(require(path.join(directory, file))));
+  }
+
+  /**
+   * Register a carrier adapter
+   * @param {CarrierAdapter} adapter - Adapter instance
+   */
+  register(adapter) {
+    if (!(adapter instanceof CarrierAdapter)) {
+      throw new Error('Carrier adapters must extend CarrierAdapter');
+    }
+
+    if (this.adapters.has(adapter.code)) {
+      throw new Error(`Carrier adapter already registered: ${adapter.code}`);
+    }
+
+    this.adapters.set(adapter.code, adapter);
+  }
+
+  /**
+   * Find the adapter for a carrier name as entered by the merchant
+   * @param {string} carrierName - Carrier name or code (e.g. 'UPS Ground')
+   * @returns {CarrierAdapter|null} Matching adapter, or null when unknown or ambiguous
+   */
+  resolve(carrierName) {
+    const matches = this.match(carrierName);
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Find every adapter a carrier name could refer to
+   *
+   * Names match an alias exactly, contain an alias as whole words ("UPS
+   * Ground", "Fed Ex Home"), or are the start of an alias ("usp", "royal").
+   * Aliases are never matched inside a word, so "usp" is not Australia
+   * Post's "auspost".
+   *
+   * @param {string} carrierName - Carrier name or code
+   * @returns {CarrierAdapter[]} A single exact match, or all partial matches
+   */
+  match(carrierName) {
+    if (!carrierName) return [];
+
+    const normalized = normalizeName(carrierName);
+    if (!normalized) return [];
+
+    const adapters = this.list();
+
+    // Try exact alias match first
+    const exact = adapters.find(adapter =>
+      adapter.aliases.some(alias => normalizeName(alias) === normalized)
+    );
+    if (exact) return [exact];
+
+    // Then partial matches, e.g. "ups ground" or "dhl express worldwide"
+    const words = splitWords(carrierName);
+    return adapters.filter(adapter =>
+      adapter.aliases.some(alias => {
+        const aliasNormalized = normalizeName(alias);
+        return containsWords(words, aliasNormalized) ||
+          (normalized.length >= 3 && aliasNormalized.startsWith(normalized));
+      })
+    );
+  }
+
+  /**
+   * Get an adapter by its carrier code
+   * @param {string} code - Carrier code
+   * @returns {CarrierAdapter|null} Adapter or null
+   */
+  get(code) {
+    return this.adapters.get(code) || null;
+  }
+
+  /**
+   * List all registered adapters
+   * @returns {CarrierAdapter[]} Adapters in registration order
+   */
+  list() {
+    return Array.from(this.adapters.values());
+  }
+}
+
+// Lowercase and strip punctuation/whitespace so "Fed-Ex" and "fedex" compare equal
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Lowercase words, split on punctuation and whitespace
+function splitWords(name) {
+  return String(name).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Whether consecutive words spell the normalized alias, so "fed ex home"
+// contains "fedex" but "upsilon" does not contain "ups"
+function containsWords(words, aliasNormalized) {
+  for (let start = 0; start < words.length; start++) {
+    let joined = '';
+    for (let end = start; end < words.length && joined.length < aliasNormalized.length; end++) {
+      joined += words[end];
+      if (joined === aliasNormalized) return true;
+    }
+  }
+  return false;
+}
+
+module.exports = new CarrierRegistry();
@@ -0,0 +1,152 @@
+const { XMLParser } = require('fast-xml-parser');
+const { STATUS, createEvent, normalizeStatus, toTimestamp } = require('../../shipmentEvents');
+
+// USPS event codes with an unambiguous status. Anything else is mapped from
+// the event description.
+const EVENT_CODES = {
+  GX: STATUS.LABEL_CREATED,
+  MA: STATUS.LABEL_CREATED,
+  '03': STATUS.PICKED_UP,
+  OA: STATUS.PICKED_UP,
+  '10': STATUS.IN_TRANSIT,
+  '07': STATUS.IN_TRANSIT,
+  OF: STATUS.OUT_FOR_DELIVERY,
+  '01': STATUS.DELIVERED,
+  '02': STATUS.EXCEPTION
+};
+
+// TrackInfo StatusCategory values
+const STATUS_CATEGORIES = {
+  'pre-shipment': STATUS.LABEL_CREATED,
+  accepted: STATUS.PICKED_UP,
+  'in transit': STATUS.IN_TRANSIT,
+  'out for delivery': STATUS.OUT_FOR_DELIVERY,
+  delivered: STATUS.DELIVERED,
+  alert: STATUS.EXCEPTION,
+  'delivery attempt': STATUS.EXCEPTION
+};
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  // Keep values as strings so event codes like "01" survive
+  parseTagValue: false,
+  isArray: name => name === 'TrackInfo' || name === 'TrackDetail'
+});
+
+/**
+ * Parse a USPS TrackV2 / TrackFieldRequest response
+ *
+ * Returns one result per TrackInfo element. Errors reported for a single
+ * tracking number (e.g. not yet in the USPS system) are returned as that
+ * result's `error`; a response-level Error element is thrown.
+ *
+ * @param {string} xml - Response body
+ * @returns {Array<Object>} Results: { trackingNumber, status, carrierStatus, estimatedDelivery, events, error }
+ */
+function parseTrackResponse(xml) {
+  const document = parser.parse(xml);
+
+  if (document.Error) {
+    throw new Error(`USPS API error ${document.Error.Number}: ${document.Error.Description}`);
+  }
+
+  const trackInfos = document.TrackResponse?.TrackInfo || [];
+  return trackInfos.map(parseTrackInfo);
+}
+
+function parseTrackInfo(trackInfo) {
+  const trackingNumber = trackInfo.ID;
+
+  if (trackInfo.Error) {
+    return {
+      trackingNumber,
+      status: STATUS.UNKNOWN,
+      carrierStatus: null,
+      estimatedDelivery: null,
+      events: [],
+      error: {
+        code: trackInfo.Error.Number,
+        description: trackInfo.Error.Description
+      }
+    };
+  }
+
+  // TrackSummary is the latest event, TrackDetail the earlier ones
+  const events = [trackInfo.TrackSummary, ...(trackInfo.TrackDetail || [])]
+    .filter(Boolean)
+    .map(parseEvent);
+
+  const carrierStatus = trackInfo.Status || events[0]?.description || null;
+  const expectedDelivery = trackInfo.ExpectedDeliveryDate || trackInfo.PredictedDeliveryDate;
+
+  const categoryStatus = STATUS_CATEGORIES[String(trackInfo.StatusCategory || '').toLowerCase()];
+
+  return {
+    trackingNumber,
+    status: categoryStatus || events[0]?.status || normalizeStatus(carrierStatus),
+    carrierStatus,
+    estimatedDelivery: parseDate(expectedDelivery),
+    events,
+    error: null
+  };
+}
+
+function parseEvent(detail) {
+  // Plain TrackV2 responses only carry a sentence per event
+  if (typeof detail === 'string') {
+    return createEvent({ description: detail });
+  }
+
+  // Event times are local to the facility; without a GMTOffset the zone is
+  // unknown, so the timestamp is kept without one rather than read as UTC
+  return createEvent({
+    timestamp: toTimestamp({
+      date: parseDate(detail.EventDate),
+      time: parseTime(detail.EventTime),
+      offset: detail.GMTOffset,
+      local: true
+    }),
+    localTime: true,
+    location: {
+      city: detail.EventCity,
+      state: detail.EventState,
+      postalCode: detail.EventZIPCode,
+      country: detail.EventCountry
+    },
+    status: EVENT_CODES[detail.EventCode],
+    carrierStatusCode: detail.EventCode,
+    description: detail.Event
+  });
+}
+
+// "January 15, 2024" -> "2024-01-15"
+function parseDate(value) {
+  const match = String(value || '').trim().match(/^([A-Za-z]+)\s+(\d{1,2}),\s*(\d{4})$/);
+  if (!match) return null;
+
+  const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+  if (month === 0) return null;
+
+  return `${match[3]}-${String(month).padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+// "10:15 am" -> "10:15:00"
+function parseTime(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})\s*([ap]m)$/i);
+  if (!match) return null;
+
+  let hours = Number(match[1]) % 12;
+  if (match[3].toLowerCase() === 'pm') hours += 12;
+
+  return `${String(hours).padStart(2, '0')}:${match[2]}:00`;
+}
+
+module.exports = {
+  parseTrackResponse
+};
@@ -0,0 +1,59 @@
+/**
+ * Token bucket for per-second carrier API quotas
+ *
+ * The bucket holds up to `capacity` tokens and refills continuously at
+ * `refillPerSecond`. Each request takes one token; when the bucket is empty
+ * the request is rejected rather than queued, so a traffic spike degrades to
+ * cached or link-out results instead of piling up slow lookups.
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options - Bucket configuration
+   * @param {number} options.refillPerSecond - Tokens added per second
+   * @param {number} [options.capacity] - Maximum burst size, defaults to one second of refill
+   */
+  constructor({ refillPerSecond, capacity = Math.max(1, refillPerSecond) }) {
+    this.refillPerSecond = refillPerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.refilledAt = Date.now();
+  }
+
+  /**
+   * Take a token if one is available
+   * @returns {boolean} Whether a token was taken
+   */
+  tryRemove() {
+    this.refill();
+    if (this.tokens < 1) return false;
+
+    this.tokens -= 1;
+    return true;
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.refilledAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+    this.refilledAt = now;
+  }
+}
+
+class RateLimitError extends Error {
+  /**
+   * @param {string} carrier - Carrier name
+   * @param {string} reason - 'rate' for the per-second limit, 'budget' for the daily budget
+   */
+  constructor(carrier, reason) {
+    super(reason === 'budget'
+      ? `${carrier} daily API budget exhausted`
+      : `${carrier} API rate limit reached`);
+    this.name = 'RateLimitError';
+    this.reason = reason;
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimitError
+};
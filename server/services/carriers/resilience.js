@@ -0,0 +1,202 @@
+/**
+ * Retry and circuit breaker helpers for carrier API calls
+ *
+ * Transient failures (timeouts, network errors, 429 and 5xx responses) are
+ * retried a few times with exponential backoff. Repeated transient failures
+ * open the carrier's circuit, and while it is open calls fail immediately so
+ * lookups fall back to the link-out result instead of waiting on a carrier
+ * that is down. After a cooldown one trial call is let through; if it
+ * succeeds the circuit closes again.
+ */
+
+const { RateLimitError } = require('./rateLimiter');
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const RETRY_DEFAULTS = {
+  retries: 2,
+  baseDelay: 250,
+  maxDelay: 2000
+};
+
+const NETWORK_ERROR_CODES = [
+  'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'
+];
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} circuit is open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Whether an error is worth retrying and counts against the carrier's health
+ * 4xx responses (bad tracking number, bad credentials) are not: retrying
+ * won't help and they don't mean the carrier is down.
+ * @param {Error} error - Error thrown by axios or an adapter
+ * @returns {boolean} True for timeouts, network errors, 429 and 5xx
+ */
+function isTransientError(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return NETWORK_ERROR_CODES.includes(error.code) || /timeout/i.test(error.message || '');
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} options - { baseDelay, maxDelay }
+ * @returns {number} Milliseconds to wait
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Run an async call, retrying transient failures
+ * @param {Function} call - async () => result
+ * @param {Object} [options] - { retries, baseDelay, maxDelay, isRetryable }
+ * @returns {Promise<*>} The call's result
+ */
+async function withRetry(call, options = {}) {
+  const { retries, baseDelay, maxDelay } = { ...RETRY_DEFAULTS, ...options };
+  const isRetryable = options.isRetryable || isTransientError;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const delay = backoffDelay(attempt + 1, { baseDelay, maxDelay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Per-carrier circuit breaker
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker configuration
+   * @param {string} options.name - Name used in errors and log messages
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldown] - Milliseconds the circuit stays open
+   * @param {Function} [options.isFailure] - (error) => whether the error counts as a failure
+   */
+  constructor({ name, failureThreshold = 5, cooldown = 30 * 1000, isFailure = isTransientError }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldown = cooldown;
+    this.isFailure = isFailure;
+
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} call - async () => result
+   * @returns {Promise<*>} The call's result
+   * @throws {CircuitOpenError} When the circuit is open
+   */
+  async execute(call) {
+    this.beforeCall();
+
+    try {
+      const result = await call();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      this.onError(error);
+      throw error;
+    }
+  }
+
+  beforeCall() {
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      const retryAt = this.openedAt + this.cooldown;
+      if (Date.now() < retryAt) {
+        throw new CircuitOpenError(this.name, retryAt);
+      }
+      this.state = CIRCUIT_STATE.HALF_OPEN;
+    }
+
+    // Only one trial call while half open; the rest keep failing fast
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, Date.now() + this.cooldown);
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  onSuccess() {
+    if (this.state !== CIRCUIT_STATE.CLOSED) {
+      console.log(`${this.name} circuit closed`);
+    }
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  onError(error) {
+    this.trialInFlight = false;
+
+    // Stopped by our own quota before reaching the carrier: says nothing
+    // about whether it is up
+    if (error instanceof RateLimitError) return;
+
+    if (!this.isFailure(error)) {
+      // The carrier answered, so it is up
+      if (this.state === CIRCUIT_STATE.HALF_OPEN) this.onSuccess();
+      return;
+    }
+
+    this.failures++;
+    this.lastFailure = { message: error.message, at: new Date().toISOString() };
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATE.OPEN;
+      this.openedAt = Date.now();
+      console.warn(`${this.name} circuit opened after ${this.failures} failures`);
+    }
+  }
+
+  /**
+   * Current breaker state for health reporting
+   * @returns {Object} { state, failures, openedAt, retryAt, lastFailure }
+   */
+  getStatus() {
+    const isOpen = this.state === CIRCUIT_STATE.OPEN;
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: isOpen ? new Date(this.openedAt + this.cooldown).toISOString() : null,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+module.exports = {
+  CIRCUIT_STATE,
+  CircuitOpenError,
+  CircuitBreaker,
+  isTransientError,
+  withRetry
+};
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const os = require('os');
+const Database = require('../models/Database');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const LOCK_NAME = 'shop_purge';
+
+// Shopify sends shop/redact 48 hours after uninstall; shops whose webhook
+// never arrives are purged on the same schedule
+const PURGE_AFTER_DAYS = 2;
+const PURGE_CHECK_INTERVAL = HOUR;
+
+/**
+ * GDPR compliance: Shopify's customers/data_request, customers/redact and
+ * shop/redact webhooks
+ *
+ * Customer records are tracking page views and the shipments of the
+ * customer's orders. Views are matched by order ID, order number or a hash
+ * of the email/phone used for the lookup; contact details themselves are
+ * never stored. Every action is written to the compliance audit log.
+ */
+class ComplianceService {
+  constructor(store) {
+    this.store = store;
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+  }
+
+  /**
+   * Hash of the email or phone a customer looked an order up with
+   * @param {string} shopDomain - Shop domain
+   * @param {string} contact - Email address or phone number
+   * @returns {string|null} Hash, or null without contact info
+   */
+  hashContact(shopDomain, contact) {
+    const normalized = normalizeContact(contact);
+    if (!normalized) return null;
+
+    return crypto.createHash('sha256').update(`${shopDomain}:${normalized}`).digest('hex');
+  }
+
+  /**
+   * customers/data_request: export every record tied to the customer
+   * @param {string} shopDomain - Shop domain
+   * @param {Object} payload - Webhook payload
+   * @param {string} [webhookId] - X-Shopify-Webhook-Id
+   * @returns {Promise<Object>} { auditId, recordsFound }
+   */
+  async handleDataRequest(shopDomain, payload, webhookId) {
+    const { views, shipments } = await this.store.findCustomerRecords(
+      shopDomain,
+      this.getSubject(shopDomain, payload, payload.orders_requested)
+    );
+
+    const exportData = {
+      shop: shopDomain,
+      customerId: payload.customer?.id ?? null,
+      dataRequestId: payload.data_request?.id ?? null,
+      generatedAt: new Date().toISOString(),
+      trackingPageViews: views.map(view => ({
+        orderNumber: view.order_number,
+        viewedAt: view.viewed_at,
+        ipAddress: view.ip_address,
+        userAgent: view.user_agent
+      })),
+      shipments: shipments.map(shipment => ({
+        orderId: shipment.order_id,
+        orderNumber: shipment.order_number,
+        carrier: shipment.carrier,
+        trackingNumber: shipment.tracking_number,
+        status: shipment.status,
+        deliveredAt: shipment.delivered_at,
+        events: shipment.events.map(event => ({
+          occurredAt: event.occurred_at,
+          status: event.status,
+          description: event.description,
+          location: event.location ? JSON.parse(event.location) : null
+        }))
+      }))
+    };
+
+    const recordsFound = views.length + shipments.length;
+    const { id } = await this.store.recordComplianceAction({
+      shopDomain,
+      action: 'customers_data_request',
+      webhookId,
+      customerId: payload.customer?.id,
+      recordsAffected: recordsFound,
+      details: {
+        dataRequestId: exportData.dataRequestId,
+        ordersRequested: payload.orders_requested || []
+      },
+      exportData
+    });
+
+    console.log(`📋 Data request for customer ${exportData.customerId} of ${shopDomain}: ${recordsFound} record(s) exported`);
+    return { auditId: id, recordsFound };
+  }
+
+  /**
+   * customers/redact: delete every record tied to the customer
+   * @param {string} shopDomain - Shop domain
+   * @param {Object} payload - Webhook payload
+   * @param {string} [webhookId] - X-Shopify-Webhook-Id
+   * @returns {Promise<Object>} Deleted row counts
+   */
+  async handleCustomerRedact(shopDomain, payload, webhookId) {
+    const counts = await this.store.redactCustomerRecords(
+      shopDomain,
+      this.getSubject(shopDomain, payload, payload.orders_to_redact)
+    );
+
+    await this.store.recordComplianceAction({
+      shopDomain,
+      action: 'customers_redact',
+      webhookId,
+      customerId: payload.customer?.id,
+      recordsAffected: sum(counts),
+      details: { ordersToRedact: payload.orders_to_redact || [], deleted: counts }
+    });
+
+    console.log(`🧹 Redacted customer ${payload.customer?.id} of ${shopDomain}: ${sum(counts)} record(s) deleted`);
+    return counts;
+  }
+
+  /**
+   * shop/redact: delete everything stored for the shop
+   * @param {string} shopDomain - Shop domain
+   * @param {Object} payload - Webhook payload
+   * @param {string} [webhookId] - X-Shopify-Webhook-Id
+   * @returns {Promise<Object>} Deleted row counts
+   */
+  async handleShopRedact(shopDomain, payload, webhookId) {
+    return this.purgeShop(shopDomain, 'shop_redact', webhookId);
+  }
+
+  /**
+   * Purge shops uninstalled more than 48 hours ago
+   * @returns {Promise<Array<string>>} Purged shop domains
+   */
+  async purgeUninstalledShops() {
+    const shops = await this.store.getShopsPendingPurge(PURGE_AFTER_DAYS);
+
+    for (const shopDomain of shops) {
+      await this.purgeShop(shopDomain, 'shop_purge');
+    }
+
+    return shops;
+  }
+
+  /**
+   * Check for shops to purge every hour
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runPurge(), PURGE_CHECK_INTERVAL);
+    this.timer.unref();
+    setTimeout(() => this.runPurge(), MINUTE).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runPurge() {
+    try {
+      if (!(await this.store.acquireLock(LOCK_NAME, this.owner, PURGE_CHECK_INTERVAL))) return;
+      await this.purgeUninstalledShops();
+    } catch (error) {
+      console.error('Error purging uninstalled shops:', error.message);
+    } finally {
+      await this.store.releaseLock(LOCK_NAME, this.owner).catch(() => {});
+    }
+  }
+
+  async purgeShop(shopDomain, action, webhookId = null) {
+    const counts = await this.store.purgeShopData(shopDomain);
+
+    await this.store.recordComplianceAction({
+      shopDomain,
+      action,
+      webhookId,
+      recordsAffected: sum(counts),
+      details: { deleted: counts }
+    });
+
+    console.log(`🧹 Purged all data for ${shopDomain} (${action}): ${sum(counts)} record(s) deleted`);
+    return counts;
+  }
+
+  // Which records belong to the customer in a webhook payload
+  getSubject(shopDomain, payload, orderIds = []) {
+    return {
+      orderIds: orderIds || [],
+      contactHashes: [payload.customer?.email, payload.customer?.phone]
+        .map(contact => this.hashContact(shopDomain, contact))
+        .filter(Boolean)
+    };
+  }
+}
+
+// Emails are compared case-insensitively, phone numbers by their digits
+function normalizeContact(contact) {
+  const value = String(contact || '').trim().toLowerCase();
+  if (value.includes('@')) return value;
+
+  const digits = value.replace(/\D/g, '');
+  return digits || null;
+}
+
+function sum(counts) {
+  return Object.values(counts).reduce((total, count) => total + count, 0);
+}
+
+module.exports = new ComplianceService(Database);
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Prefix for encrypted values kept outside the database (environment variables)
+const INLINE_PREFIX = 'enc:';
+
+/**
+ * Envelope encryption for secrets stored at rest
+ *
+ * Every value is encrypted with its own random data key (AES-256-GCM), and
+ * the data key is encrypted with a master key from ENCRYPTION_KEYS. Callers
+ * store the returned key ID next to the ciphertext so values written under
+ * an older master key can still be read after rotation and re-encrypted
+ * later (npm run keys:rotate).
+ *
+ * ENCRYPTION_KEYS is a comma-separated list of <id>:<base64 32-byte key>.
+ * The first key encrypts new values; the others are only used to decrypt.
+ *
+ * A context string (e.g. the shop domain) is bound to each value as
+ * additional authenticated data, so a ciphertext copied to another row
+ * fails to decrypt instead of being used for the wrong shop.
+ */
+class Encryption {
+  /**
+   * Master keys from the environment, current key first
+   * @returns {Array<Object>} { id, key }
+   */
+  getKeys() {
+    const raw = process.env.ENCRYPTION_KEYS || '';
+    if (raw === this.parsedFrom) return this.keys;
+
+    this.keys = raw.split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.indexOf(':');
+        const id = entry.slice(0, separator);
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+        if (separator < 1 || key.length !== KEY_BYTES) {
+          throw new Error(`Invalid ENCRYPTION_KEYS entry "${id || entry.slice(0, 8)}": expected <id>:<base64 ${KEY_BYTES}-byte key>`);
+        }
+        return { id, key };
+      });
+    this.parsedFrom = raw;
+
+    return this.keys;
+  }
+
+  /**
+   * @returns {boolean} True when a master key is configured
+   */
+  isConfigured() {
+    return this.getKeys().length > 0;
+  }
+
+  /**
+   * @returns {string|null} ID of the key used for new values
+   */
+  getCurrentKeyId() {
+    return this.getKeys()[0]?.id || null;
+  }
+
+  /**
+   * Encrypt a value with the current master key
+   * @param {string} plaintext - Value to encrypt
+   * @param {string} context - Value bound to the ciphertext (must match on decrypt)
+   * @returns {Object} { ciphertext, keyId }
+   */
+  encrypt(plaintext, context) {
+    const [current] = this.getKeys();
+    if (!current) {
+      throw new Error('ENCRYPTION_KEYS is not set');
+    }
+
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const wrappedKey = seal(current.key, dataKey, `${current.id}:${context}`);
+    const data = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), context);
+
+    return { ciphertext: `${wrappedKey}.${data}`, keyId: current.id };
+  }
+
+  /**
+   * Decrypt a value written by encrypt()
+   * @param {string} ciphertext - Stored ciphertext
+   * @param {string} keyId - Stored key ID
+   * @param {string} context - Context given to encrypt()
+   * @returns {string} Plaintext
+   */
+  decrypt(ciphertext, keyId, context) {
+    const master = this.getKeys().find(candidate => candidate.id === keyId);
+    if (!master) {
+      throw new Error(`Encryption key "${keyId}" is not in ENCRYPTION_KEYS`);
+    }
+
+    const parts = String(ciphertext).split('.');
+    if (parts.length !== 6) {
+      throw new Error('Malformed ciphertext');
+    }
+
+    const dataKey = open(master.key, parts.slice(0, 3), `${keyId}:${context}`);
+    return open(dataKey, parts.slice(3), context).toString('utf8');
+  }
+
+  /**
+   * Encrypt a value for storage in a single string, such as an environment
+   * variable: enc:<keyId>:<ciphertext>
+   * @param {string} plaintext - Value to encrypt
+   * @param {string} context - Value bound to the ciphertext
+   * @returns {string} Encoded value
+   */
+  encryptInline(plaintext, context) {
+    const { ciphertext, keyId } = this.encrypt(plaintext, context);
+    return `${INLINE_PREFIX}${keyId}:${ciphertext}`;
+  }
+
+  /**
+   * Decrypt a value from encryptInline(); other values are returned unchanged
+   * @param {string} value - Encoded or plain value
+   * @param {string} context - Context given to encryptInline()
+   * @returns {string} Plaintext
+   */
+  decryptInline(value, context) {
+    if (typeof value !== 'string' || !value.startsWith(INLINE_PREFIX)) return value;
+
+    const encoded = value.slice(INLINE_PREFIX.length);
+    const separator = encoded.indexOf(':');
+    return this.decrypt(encoded.slice(separator + 1), encoded.slice(0, separator), context);
+  }
+
+  /**
+   * Generate a new random master key
+   * @returns {string} Base64 key for ENCRYPTION_KEYS
+   */
+  generateKey() {
+    return crypto.randomBytes(KEY_BYTES).toString('base64');
+  }
+}
+
+// iv.tag.ciphertext, base64url encoded
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+function open(key, [iv, tag, encrypted], aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]);
+}
+
+module.exports = new Encryption();
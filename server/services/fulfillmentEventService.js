@@ -0,0 +1,100 @@
+const Database = require('../models/Database');
+const shopifyService = require('./shopifyService');
+const { STATUS } = require('./shipmentEvents');
+
+// Shipment status -> Shopify FulfillmentEventStatus. Label created isn't
+// sent: Shopify already knows the fulfillment has a label.
+const SHOPIFY_EVENT_STATUSES = {
+  [STATUS.PICKED_UP]: 'IN_TRANSIT',
+  [STATUS.IN_TRANSIT]: 'IN_TRANSIT',
+  [STATUS.OUT_FOR_DELIVERY]: 'OUT_FOR_DELIVERY',
+  [STATUS.DELIVERED]: 'DELIVERED',
+  [STATUS.EXCEPTION]: 'FAILURE',
+  [STATUS.RETURNED]: 'FAILURE'
+};
+
+/**
+ * Tracking status write-back to Shopify
+ *
+ * When a shop has turned on fulfillment events in its settings, each new
+ * shipment status is added to the Shopify fulfillment as a fulfillment
+ * event, so the order status page and Shopify's shipping notifications
+ * follow the carrier. Every Shopify status is sent to a fulfillment at most
+ * once: the event is claimed in the database before it's created, so
+ * repeated polls and fulfillments with several tracking numbers don't
+ * duplicate it.
+ */
+class FulfillmentEventService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Send a shipment's new status to Shopify, if the shop opted in
+   * @param {Object} shipment - shipments row
+   * @param {string} status - New shipment status
+   * @param {Object} [details] - { event (latest canonical event), estimatedDelivery }
+   * @returns {Promise<Object>} { created } or { skipped: reason }
+   */
+  async publish(shipment, status, { event = null, estimatedDelivery = null } = {}) {
+    const shopifyStatus = SHOPIFY_EVENT_STATUSES[status];
+    if (!shopifyStatus) return { skipped: 'status' };
+    if (!shipment.fulfillment_id) return { skipped: 'no_fulfillment' };
+
+    const shop = shipment.shop_domain;
+    // Whether this call holds the claim, and whether the event reached Shopify
+    let claimed = false;
+    let created = false;
+
+    try {
+      const settings = await this.store.getSettings(shop);
+      if (!settings?.fulfillmentEventsEnabled) return { skipped: 'disabled' };
+
+      const shopData = await this.store.getShopData(shop);
+      if (!shopData?.access_token || !shopData.is_active) return { skipped: 'not_installed' };
+
+      const happenedAt = toDateTime(event?.timestamp);
+      claimed = await this.store.claimFulfillmentEvent(shop, shipment.fulfillment_id, shopifyStatus, {
+        shipmentId: shipment.id,
+        happenedAt
+      });
+      if (!claimed) return { skipped: 'duplicate' };
+
+      const result = await shopifyService.createFulfillmentEvent(shop, shopData.access_token, shipment.fulfillment_id, {
+        status: shopifyStatus,
+        happenedAt,
+        message: event?.description,
+        city: event?.location?.city,
+        province: event?.location?.state,
+        country: event?.location?.country,
+        zip: event?.location?.postalCode,
+        estimatedDeliveryAt: toDateTime(estimatedDelivery)
+      });
+
+      if (!result.success) return { skipped: 'failed' };
+
+      created = true;
+      await this.store.completeFulfillmentEvent(shop, shipment.fulfillment_id, shopifyStatus, String(result.eventId));
+      console.log(`📣 ${shipment.tracking_number}: sent ${shopifyStatus} to Shopify fulfillment ${shipment.fulfillment_id}`);
+      return { created: true };
+    } catch (error) {
+      console.error(`Error publishing fulfillment event for ${shipment.tracking_number}:`, error.message);
+      return { skipped: 'failed' };
+    } finally {
+      // Let a later poll retry an event Shopify never got
+      if (claimed && !created) {
+        await this.store.releaseFulfillmentEvent(shop, shipment.fulfillment_id, shopifyStatus)
+          .catch(error => console.error(`Error releasing fulfillment event for ${shipment.tracking_number}:`, error.message));
+      }
+    }
+  }
+}
+
+// ISO 8601 date-time for Shopify, or undefined when unparseable
+function toDateTime(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+module.exports = new FulfillmentEventService(Database);
@@ -0,0 +1,169 @@
+const Database = require('../models/Database');
+const shopifyService = require('./shopifyService');
+const { STATUS } = require('./shipmentEvents');
+
+const NAMESPACE = 'smart_tracking';
+
+// Metafields merchants can choose, with their Shopify types
+const ORDER_METAFIELDS = {
+  status: 'single_line_text_field',
+  delivered_at: 'date_time',
+  eta: 'date_time',
+  exception_reason: 'single_line_text_field'
+};
+
+// Order-level delivery states; each can be written as a tracking:<state> tag
+const ORDER_STATES = [
+  'label_created', 'in_transit', 'out_for_delivery', 'partially_delivered',
+  'delivered', 'exception', 'returned'
+];
+
+const TAG_PREFIX = 'tracking:';
+
+// Single line text metafields are kept short enough for admin filters
+const MAX_TEXT_LENGTH = 255;
+
+/**
+ * Order delivery state write-back to Shopify
+ *
+ * Combines the statuses of an order's shipments into one delivery state and
+ * writes it to the order as smart_tracking metafields and, optionally, a
+ * tracking:<state> tag, so merchants can segment and automate on it (e.g.
+ * in Shopify Flow). Which metafields and tags are written is chosen in the
+ * settings. The last state written to each order is stored: unchanged
+ * states aren't written again, and a failed write is retried on the next
+ * poll. Only the tag the app added is ever removed.
+ */
+class OrderDeliveryStateService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Bring an order's metafields and tags in line with its shipments
+   * @param {string} shop - Shop domain
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} { updated } or { skipped: reason }
+   */
+  async syncOrder(shop, orderId) {
+    if (!orderId) return { skipped: 'no_order' };
+
+    try {
+      const settings = await this.store.getSettings(shop);
+      const fields = (settings?.orderMetafields || []).filter(key => ORDER_METAFIELDS[key]);
+      const tagStates = (settings?.orderTags || []).filter(state => ORDER_STATES.includes(state));
+
+      const previous = await this.store.getOrderDeliveryState(shop, orderId);
+      if (fields.length === 0 && tagStates.length === 0 && !previous?.tag) return { skipped: 'disabled' };
+
+      const shopData = await this.store.getShopData(shop);
+      if (!shopData?.access_token || !shopData.is_active) return { skipped: 'not_installed' };
+
+      const state = await this.getDeliveryState(await this.store.getOrderShipments(shop, orderId));
+      if (!state) return { skipped: 'unknown' };
+
+      const written = {
+        metafields: Object.fromEntries(fields.map(key => [key, state[key] ?? null])),
+        tag: tagStates.includes(state.status) ? `${TAG_PREFIX}${state.status}` : null
+      };
+
+      const previousValues = previous?.metafields || {};
+      const set = fields
+        .filter(key => written.metafields[key] !== null && written.metafields[key] !== previousValues[key])
+        .map(key => ({ key, type: ORDER_METAFIELDS[key], value: written.metafields[key] }));
+      const remove = fields.filter(key => written.metafields[key] === null && previousValues[key] != null);
+      const addTags = written.tag && written.tag !== previous?.tag ? [written.tag] : [];
+      const removeTags = previous?.tag && previous.tag !== written.tag ? [previous.tag] : [];
+
+      if (set.length === 0 && remove.length === 0 && addTags.length === 0 && removeTags.length === 0) {
+        if (JSON.stringify(written) !== JSON.stringify(previous)) {
+          await this.store.saveOrderDeliveryState(shop, orderId, written);
+        }
+        return { skipped: 'unchanged' };
+      }
+
+      const token = shopData.access_token;
+      if (set.length > 0 || remove.length > 0) {
+        const result = await shopifyService.updateOrderMetafields(shop, token, orderId, { namespace: NAMESPACE, set, remove });
+        if (!result.success) return { skipped: 'failed' };
+      }
+
+      if (addTags.length > 0 || removeTags.length > 0) {
+        const result = await shopifyService.updateOrderTags(shop, token, orderId, { add: addTags, remove: removeTags });
+        if (!result.success) return { skipped: 'failed' };
+      }
+
+      await this.store.saveOrderDeliveryState(shop, orderId, written);
+      console.log(`🏷️ Order ${orderId} (${shop}): delivery state ${state.status}`);
+      return { updated: true };
+    } catch (error) {
+      console.error(`Error updating delivery state of order ${orderId}:`, error.message);
+      return { skipped: 'failed' };
+    }
+  }
+
+  /**
+   * Combine an order's shipments into one delivery state. Any exception
+   * wins; otherwise the order is delivered (or returned) once every
+   * shipment is, partially delivered once some are, and else as far along
+   * as its furthest shipment.
+   * @param {Array} shipments - shipments rows of one order
+   * @returns {Promise<Object|null>} { status, delivered_at, eta, exception_reason }, null when no status is known
+   */
+  async getDeliveryState(shipments) {
+    const known = shipments.filter(shipment => shipment.status && shipment.status !== STATUS.UNKNOWN);
+    if (known.length === 0) return null;
+
+    const has = status => known.some(shipment => shipment.status === status);
+    const settled = known.filter(shipment => shipment.status === STATUS.DELIVERED || shipment.status === STATUS.RETURNED);
+    const open = known.filter(shipment => !settled.includes(shipment));
+
+    let status;
+    if (has(STATUS.EXCEPTION)) {
+      status = 'exception';
+    } else if (open.length === 0) {
+      status = has(STATUS.DELIVERED) ? 'delivered' : 'returned';
+    } else if (has(STATUS.DELIVERED)) {
+      status = 'partially_delivered';
+    } else if (has(STATUS.OUT_FOR_DELIVERY)) {
+      status = 'out_for_delivery';
+    } else if (has(STATUS.IN_TRANSIT) || has(STATUS.PICKED_UP)) {
+      status = 'in_transit';
+    } else {
+      status = 'label_created';
+    }
+
+    return {
+      status,
+      delivered_at: status === 'delivered'
+        ? latest(known.filter(shipment => shipment.status === STATUS.DELIVERED).map(shipment => shipment.delivered_at))
+        : null,
+      eta: open.length > 0 ? latest(open.map(shipment => shipment.estimated_delivery)) : null,
+      exception_reason: status === 'exception' ? await this.getExceptionReason(known) : null
+    };
+  }
+
+  // The carrier's description of the most recent exception
+  async getExceptionReason(shipments) {
+    const events = [];
+    for (const shipment of shipments.filter(row => row.status === STATUS.EXCEPTION)) {
+      const timeline = await this.store.getShipmentTimeline(shipment.id);
+      const event = timeline.find(entry => entry.status === STATUS.EXCEPTION && entry.description);
+      if (event) events.push(event);
+    }
+
+    const reason = events.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0]?.description;
+    return reason ? reason.slice(0, MAX_TEXT_LENGTH) : null;
+  }
+}
+
+// Latest of several dates as ISO 8601, null when none parse
+function latest(values) {
+  const times = values
+    .map(value => (value ? new Date(value).getTime() : NaN))
+    .filter(time => !isNaN(time));
+
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+module.exports = new OrderDeliveryStateService(Database);
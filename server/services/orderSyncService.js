@@ -0,0 +1,333 @@
+const os = require('os');
+const Database = require('../models/Database');
+const shopifyService = require('./shopifyService');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const LOCK_NAME = 'order_sync';
+
+// Orders per API page (the GraphQL maximum)
+const PAGE_SIZE = 250;
+
+// Orders fetched straight from Shopify when the local copy doesn't cover a
+// period yet
+const MAX_LIVE_PAGES = 40;
+
+// Incremental syncs look back a little past the last seen updated_at, so
+// orders updated while the previous sync ran aren't missed
+const INCREMENTAL_OVERLAP = 5 * MINUTE;
+
+/**
+ * Local order sync for the admin
+ *
+ * A backfill pages through every order created in the last
+ * ORDER_SYNC_BACKFILL_DAYS (oldest first, so the position in the window
+ * gives the progress) and stores order summaries locally. The cursor is
+ * saved after every page, so a backfill interrupted by a restart resumes
+ * where it stopped. Once it completes, incremental syncs fetch the orders
+ * updated since the last sync. A per-shop database lock keeps several server
+ * instances from syncing the same shop at once.
+ */
+class OrderSyncService {
+  constructor(store) {
+    this.store = store;
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = false;
+  }
+
+  getConfig() {
+    return {
+      enabled: process.env.ORDER_SYNC_ENABLED !== 'false',
+      interval: (Number(process.env.ORDER_SYNC_INTERVAL_MINUTES) || 15) * MINUTE,
+      backfillDays: Number(process.env.ORDER_SYNC_BACKFILL_DAYS) || 60
+    };
+  }
+
+  /**
+   * Start a backfill in the background, unless one is running or done
+   * @param {string} shop - Shop domain
+   * @param {string} accessToken - Shop access token
+   * @param {Object} [options] - { force } to sync the window again
+   * @returns {Promise<Object>} Sync status
+   */
+  async startBackfill(shop, accessToken, { force = false } = {}) {
+    const state = await this.store.getOrderSyncState(shop);
+
+    if (!state || state.status === 'idle' || state.status === 'failed' || (force && state.status !== 'running')) {
+      const since = new Date(Date.now() - this.getConfig().backfillDays * DAY).toISOString();
+      await this.store.saveOrderSyncState(shop, {
+        status: 'running',
+        backfillSince: since,
+        backfillCursor: null,
+        backfillPosition: since,
+        backfillCompletedAt: null,
+        ordersSynced: 0,
+        error: null,
+        startedAt: new Date().toISOString()
+      });
+    }
+
+    const status = await this.getStatus(shop);
+    if (status.status === 'running') {
+      this.runBackfill(shop, accessToken)
+        .catch(error => console.error(`Error syncing orders for ${shop}:`, error.message));
+    }
+
+    return status;
+  }
+
+  /**
+   * Page through the backfill window from the saved cursor
+   * @param {string} shop - Shop domain
+   * @param {string} accessToken - Shop access token
+   * @returns {Promise<boolean>} False when another sync holds the shop
+   */
+  async runBackfill(shop, accessToken) {
+    return this.withShopLock(shop, async renewLock => {
+      let state = await this.store.getOrderSyncState(shop);
+      if (state?.status !== 'running') return;
+
+      try {
+        for (;;) {
+          const result = await shopifyService.getOrders(shop, accessToken, {
+            limit: PAGE_SIZE,
+            after: state.backfillCursor,
+            created_at_min: state.backfillSince,
+            sort_key: 'CREATED_AT',
+            reverse: false
+          });
+          if (!result.success) throw new Error(result.error);
+
+          await this.store.upsertOrders(shop, result.orders);
+
+          const last = result.orders[result.orders.length - 1];
+          state = {
+            ...state,
+            backfillCursor: result.pageInfo.endCursor || state.backfillCursor,
+            backfillPosition: last?.created_at || state.backfillPosition,
+            ordersSynced: state.ordersSynced + result.orders.length
+          };
+          await this.store.saveOrderSyncState(shop, {
+            backfillCursor: state.backfillCursor,
+            backfillPosition: state.backfillPosition,
+            ordersSynced: state.ordersSynced
+          });
+
+          if (!result.pageInfo.hasNextPage) break;
+          await renewLock();
+        }
+
+        const now = new Date().toISOString();
+        await this.store.saveOrderSyncState(shop, {
+          status: 'completed',
+          backfillCursor: null,
+          backfillPosition: now,
+          backfillCompletedAt: now,
+          // Orders updated while the backfill ran are picked up next time
+          lastUpdatedAt: state.startedAt || now,
+          lastSyncedAt: now
+        });
+
+        console.log(`🗂️ Synced ${state.ordersSynced} order(s) for ${shop}`);
+      } catch (error) {
+        await this.store.saveOrderSyncState(shop, { status: 'failed', error: error.message });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Fetch the orders updated since the last sync
+   * @param {string} shop - Shop domain
+   * @param {string} accessToken - Shop access token
+   * @returns {Promise<Object>} { synced }
+   */
+  async syncIncremental(shop, accessToken) {
+    let synced = 0;
+
+    await this.withShopLock(shop, async renewLock => {
+      const state = await this.store.getOrderSyncState(shop);
+      if (state?.status !== 'completed') return;
+
+      const since = new Date(new Date(state.lastUpdatedAt || state.backfillCompletedAt).getTime() - INCREMENTAL_OVERLAP);
+      let latestUpdate = state.lastUpdatedAt;
+      let after = null;
+
+      for (;;) {
+        const result = await shopifyService.getOrders(shop, accessToken, {
+          limit: PAGE_SIZE,
+          after,
+          updated_at_min: since.toISOString(),
+          sort_key: 'UPDATED_AT',
+          reverse: false
+        });
+        if (!result.success) throw new Error(result.error);
+
+        await this.store.upsertOrders(shop, result.orders);
+        latestUpdate = maxTimestamp(latestUpdate, ...result.orders.map(order => order.updated_at));
+        synced += result.orders.length;
+
+        if (!result.pageInfo.hasNextPage) break;
+        after = result.pageInfo.endCursor;
+        await renewLock();
+      }
+
+      await this.store.saveOrderSyncState(shop, {
+        lastUpdatedAt: latestUpdate,
+        lastSyncedAt: new Date().toISOString(),
+        error: null
+      });
+    });
+
+    return { synced };
+  }
+
+  /**
+   * Sync progress for the admin
+   * @param {string} shop - Shop domain
+   * @returns {Promise<Object>} { status, progress, ordersSynced, since, completedAt, lastSyncedAt, error }
+   */
+  async getStatus(shop) {
+    const state = await this.store.getOrderSyncState(shop);
+    if (!state) {
+      return { status: 'idle', progress: 0, ordersSynced: 0, since: null, completedAt: null, lastSyncedAt: null, error: null };
+    }
+
+    return {
+      status: state.status,
+      progress: getProgress(state),
+      ordersSynced: state.ordersSynced,
+      since: state.backfillSince,
+      completedAt: state.backfillCompletedAt,
+      lastSyncedAt: state.lastSyncedAt,
+      error: state.error
+    };
+  }
+
+  /**
+   * Every order created in a period: from the local copy when a completed
+   * backfill covers it, otherwise paged from Shopify
+   * @param {string} shop - Shop domain
+   * @param {string} accessToken - Shop access token
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @returns {Promise<Object>} { success, orders, source, complete }
+   */
+  async getOrdersInPeriod(shop, accessToken, startDate, endDate) {
+    const state = await this.store.getOrderSyncState(shop);
+
+    if (state?.status === 'completed' && new Date(state.backfillSince) <= startDate) {
+      const orders = await this.store.getSyncedOrders(shop, startDate.toISOString(), endDate.toISOString());
+      return { success: true, orders, source: 'sync', complete: true };
+    }
+
+    const orders = [];
+    let after = null;
+
+    for (let page = 0; page < MAX_LIVE_PAGES; page++) {
+      const result = await shopifyService.getOrders(shop, accessToken, {
+        limit: PAGE_SIZE,
+        after,
+        created_at_min: startDate.toISOString(),
+        created_at_max: endDate.toISOString()
+      });
+      if (!result.success) return result;
+
+      orders.push(...result.orders);
+      if (!result.pageInfo.hasNextPage) {
+        return { success: true, orders, source: 'shopify', complete: true };
+      }
+      after = result.pageInfo.endCursor;
+    }
+
+    return { success: true, orders, source: 'shopify', complete: false };
+  }
+
+  /**
+   * Run incremental syncs, and resume interrupted backfills, on an interval
+   */
+  start() {
+    const { enabled, interval } = this.getConfig();
+    if (!enabled || this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), interval);
+    this.timer.unref();
+    setTimeout(() => this.runOnce(), MINUTE).unref();
+
+    console.log(`🗂️ Order sync every ${interval / MINUTE} minutes`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runOnce() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const shops = await this.store.getShopsForOrderSync();
+
+      for (const { shop_domain: shop, status } of shops) {
+        try {
+          const shopData = await this.store.getShopData(shop);
+          if (!shopData?.access_token) continue;
+
+          if (status === 'running') {
+            await this.runBackfill(shop, shopData.access_token);
+          } else {
+            await this.syncIncremental(shop, shopData.access_token);
+          }
+        } catch (error) {
+          console.error(`Error syncing orders for ${shop}:`, error.message);
+          await this.store.saveOrderSyncState(shop, { error: error.message }).catch(() => {});
+        }
+      }
+    } catch (error) {
+      console.error('Error running order sync:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Run work while holding the shop's sync lock; false when it's taken.
+  // Long syncs call renewLock() between pages so the lock doesn't expire.
+  async withShopLock(shop, work) {
+    const lock = `${LOCK_NAME}:${shop}`;
+    const ttl = this.getConfig().interval;
+    if (!(await this.store.acquireLock(lock, this.owner, ttl))) return false;
+
+    try {
+      await work(() => this.store.acquireLock(lock, this.owner, ttl));
+      return true;
+    } finally {
+      await this.store.releaseLock(lock, this.owner).catch(() => {});
+    }
+  }
+}
+
+// Share of the backfill window covered, 0-100
+function getProgress(state) {
+  if (state.status === 'completed') return 100;
+  if (!state.backfillSince || !state.startedAt) return 0;
+
+  const start = new Date(state.backfillSince).getTime();
+  const end = new Date(state.startedAt).getTime();
+  const position = new Date(state.backfillPosition || state.backfillSince).getTime();
+  if (end <= start) return 0;
+
+  return Math.max(0, Math.min(99, Math.round(((position - start) / (end - start)) * 100)));
+}
+
+function maxTimestamp(...values) {
+  return values.filter(Boolean).reduce((latest, value) => (
+    !latest || new Date(value) > new Date(latest) ? value : latest
+  ), null);
+}
+
+module.exports = new OrderSyncService(Database);
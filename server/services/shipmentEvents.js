@@ -0,0 +1,279 @@
+/**
+ * Canonical shipment event model
+ *
+ * Every carrier adapter maps its API response into events created with
+ * createEvent(), and the shipment status is derived from those events through
+ * a fixed lifecycle:
+ *
+ *   label_created → picked_up → in_transit → out_for_delivery → delivered
+ *
+ * with exception and returned reachable from any non-terminal status.
+ */
+
+const STATUS = {
+  LABEL_CREATED: 'label_created',
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  EXCEPTION: 'exception',
+  RETURNED: 'returned',
+  UNKNOWN: 'unknown'
+};
+
+const STATUS_LABELS = {
+  [STATUS.LABEL_CREATED]: 'Label Created',
+  [STATUS.PICKED_UP]: 'Picked Up',
+  [STATUS.IN_TRANSIT]: 'In Transit',
+  [STATUS.OUT_FOR_DELIVERY]: 'Out for Delivery',
+  [STATUS.DELIVERED]: 'Delivered',
+  [STATUS.EXCEPTION]: 'Exception',
+  [STATUS.RETURNED]: 'Returned',
+  [STATUS.UNKNOWN]: 'Unknown'
+};
+
+const TERMINAL_STATUSES = [STATUS.DELIVERED, STATUS.RETURNED];
+
+// Allowed next statuses. Carriers often skip scans (e.g. no pickup scan), so
+// forward jumps are allowed; moving backwards along the lifecycle is not.
+const TRANSITIONS = {
+  [STATUS.UNKNOWN]: [
+    STATUS.LABEL_CREATED, STATUS.PICKED_UP, STATUS.IN_TRANSIT, STATUS.OUT_FOR_DELIVERY,
+    STATUS.DELIVERED, STATUS.EXCEPTION, STATUS.RETURNED
+  ],
+  [STATUS.LABEL_CREATED]: [
+    STATUS.PICKED_UP, STATUS.IN_TRANSIT, STATUS.OUT_FOR_DELIVERY,
+    STATUS.DELIVERED, STATUS.EXCEPTION, STATUS.RETURNED
+  ],
+  [STATUS.PICKED_UP]: [
+    STATUS.IN_TRANSIT, STATUS.OUT_FOR_DELIVERY, STATUS.DELIVERED, STATUS.EXCEPTION, STATUS.RETURNED
+  ],
+  [STATUS.IN_TRANSIT]: [
+    STATUS.OUT_FOR_DELIVERY, STATUS.DELIVERED, STATUS.EXCEPTION, STATUS.RETURNED
+  ],
+  // A failed delivery attempt puts the package back in transit
+  [STATUS.OUT_FOR_DELIVERY]: [
+    STATUS.IN_TRANSIT, STATUS.DELIVERED, STATUS.EXCEPTION, STATUS.RETURNED
+  ],
+  [STATUS.EXCEPTION]: [
+    STATUS.IN_TRANSIT, STATUS.OUT_FOR_DELIVERY, STATUS.DELIVERED, STATUS.RETURNED
+  ],
+  [STATUS.DELIVERED]: [],
+  [STATUS.RETURNED]: []
+};
+
+class StatusTransitionError extends Error {
+  constructor(from, to) {
+    super(`Invalid shipment status transition: ${from} -> ${to}`);
+    this.name = 'StatusTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Whether a shipment may move from one status to another
+ * Repeating the current status is always allowed.
+ * @param {string} from - Current status code
+ * @param {string} to - Next status code
+ * @returns {boolean} Whether the transition is allowed
+ */
+function canTransition(from, to) {
+  if (from === to) return true;
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a shipment to a new status
+ * @param {string} from - Current status code
+ * @param {string} to - Next status code
+ * @returns {string} The new status
+ * @throws {StatusTransitionError} When the transition is not allowed
+ */
+function transition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new StatusTransitionError(from, to);
+  }
+  return to;
+}
+
+/**
+ * Whether a status is final (no further carrier updates expected)
+ * @param {string} status - Status code
+ * @returns {boolean} True for delivered and returned
+ */
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Map a free-text carrier status description to a status code
+ * @param {string} description - Carrier status text
+ * @returns {string} Status code, STATUS.UNKNOWN when nothing matches
+ */
+function normalizeStatus(description) {
+  if (!description) return STATUS.UNKNOWN;
+
+  const text = description.toLowerCase();
+
+  // Order matters: "returned to sender" and "delivery exception" mention delivery
+  if (text.includes('return to sender') || text.includes('returned') || text.includes('return to shipper')) {
+    return STATUS.RETURNED;
+  }
+  if (text.includes('exception') || text.includes('delayed') || text.includes('undeliverable') ||
+      text.includes('undelivered') || text.includes('not delivered') || text.includes('attempt') ||
+      text.includes('failed') || text.includes('failure')) {
+    return STATUS.EXCEPTION;
+  }
+  if (text.includes('out for delivery') || text.includes('with delivery courier')) return STATUS.OUT_FOR_DELIVERY;
+  if (text.includes('delivered')) return STATUS.DELIVERED;
+  if (text.includes('picked up') || text.includes('collected') || text.includes('accepted') ||
+      text.includes('acceptance') || text.includes('in possession')) {
+    return STATUS.PICKED_UP;
+  }
+  if (text.includes('label') || text.includes('pre-shipment') || text.includes('information sent') ||
+      text.includes('pre-transit') || text.includes('information received') || text.includes('manifest')) {
+    return STATUS.LABEL_CREATED;
+  }
+  if (text.includes('in transit') || text.includes('on the way') || text.includes('arrived') ||
+      text.includes('departed') || text.includes('processed') || text.includes('transit')) {
+    return STATUS.IN_TRANSIT;
+  }
+
+  return STATUS.UNKNOWN;
+}
+
+/**
+ * Build an ISO 8601 timestamp with timezone from carrier date/time parts
+ * @param {Object} parts - Date parts
+ * @param {string} parts.date - YYYY-MM-DD or YYYYMMDD
+ * @param {string} [parts.time] - HH:MM[:SS] or HHMMSS
+ * @param {string} [parts.offset] - UTC offset such as -05:00 (defaults to UTC)
+ * @param {boolean} [parts.local] - Leave the timestamp without a zone when there is no offset
+ * @returns {string|null} Timestamp or null if the date is missing/invalid
+ */
+function toTimestamp({ date, time, offset, local = false }) {
+  if (!date) return null;
+
+  const dateDigits = String(date).replace(/-/g, '');
+  if (!/^\d{8}$/.test(dateDigits)) return null;
+
+  const timeDigits = String(time || '000000').replace(/:/g, '').padEnd(6, '0');
+  if (!/^\d{6}$/.test(timeDigits)) return null;
+
+  const hasOffset = offset && /^[+-]\d{2}:?\d{2}$/.test(offset);
+  const zone = hasOffset ? offset.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2') : (local ? '' : 'Z');
+
+  return `${dateDigits.slice(0, 4)}-${dateDigits.slice(4, 6)}-${dateDigits.slice(6, 8)}` +
+    `T${timeDigits.slice(0, 2)}:${timeDigits.slice(2, 4)}:${timeDigits.slice(4, 6)}${zone}`;
+}
+
+/**
+ * Normalize an ISO timestamp, keeping the carrier's timezone offset
+ * Timestamps without a zone are treated as UTC, unless they are marked as
+ * local time at the carrier's location.
+ * @param {string} value - ISO 8601 timestamp
+ * @param {Object} [options] - { local: true } to keep a timestamp without a zone as is
+ * @returns {string|null} Timestamp or null if invalid
+ */
+function normalizeTimestamp(value, { local = false } = {}) {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+  const timestamp = hasZone || local ? text : `${text}Z`;
+
+  return isNaN(new Date(timestamp).getTime()) ? null : timestamp;
+}
+
+/**
+ * Create a canonical shipment event
+ * @param {Object} event - Event data
+ * @param {string} event.timestamp - ISO 8601 timestamp with timezone
+ * @param {boolean} [event.localTime] - The timestamp may lack a zone: local time where the event happened
+ * @param {Object} [event.location] - { city, state, postalCode, country }
+ * @param {string} [event.status] - Status code, derived from the description if omitted
+ * @param {string} [event.carrierStatusCode] - Raw carrier event code
+ * @param {string} [event.description] - Carrier event description
+ * @returns {Object} Canonical event
+ */
+function createEvent({ timestamp, localTime = false, location, status, carrierStatusCode, description }) {
+  const normalizedStatus = STATUS_LABELS[status] ? status : normalizeStatus(description);
+
+  return {
+    timestamp: normalizeTimestamp(timestamp, { local: localTime }),
+    location: createLocation(location),
+    status: normalizedStatus,
+    carrierStatusCode: carrierStatusCode || null,
+    description: description || STATUS_LABELS[normalizedStatus]
+  };
+}
+
+/**
+ * Create a canonical location object
+ * @param {Object} location - { city, state, postalCode, country }
+ * @returns {Object|null} Location or null when every field is empty
+ */
+function createLocation(location) {
+  if (!location) return null;
+
+  const normalized = {
+    city: location.city || null,
+    state: location.state || null,
+    postalCode: location.postalCode || null,
+    country: location.country || null
+  };
+
+  return Object.values(normalized).some(Boolean) ? normalized : null;
+}
+
+/**
+ * Order events and derive the shipment status from them
+ *
+ * Events are applied oldest first. An event whose status would be an
+ * impossible transition (e.g. in transit after delivered) stays in the
+ * history but does not change the shipment status. Events without a
+ * timestamp (e.g. plain USPS TrackV2 sentences) are kept in the order the
+ * carrier listed them, newest first, and count as older than dated events.
+ *
+ * @param {Object[]} events - Canonical events in any order, undated ones newest first
+ * @returns {Object} { status, events } with events newest first
+ */
+function buildTimeline(events = []) {
+  const dated = events
+    .filter(event => event && event.timestamp)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const undated = events.filter(event => event && !event.timestamp).reverse();
+  const chronological = [...undated, ...dated];
+
+  let status = STATUS.UNKNOWN;
+  for (const event of chronological) {
+    if (event.status === STATUS.UNKNOWN) continue;
+
+    if (canTransition(status, event.status)) {
+      status = event.status;
+    } else {
+      console.warn(`Ignoring shipment event: ${new StatusTransitionError(status, event.status).message}`);
+    }
+  }
+
+  return {
+    status,
+    events: chronological.reverse()
+  };
+}
+
+module.exports = {
+  STATUS,
+  STATUS_LABELS,
+  StatusTransitionError,
+  canTransition,
+  transition,
+  isTerminal,
+  normalizeStatus,
+  toTimestamp,
+  normalizeTimestamp,
+  createEvent,
+  createLocation,
+  buildTimeline
+};
@@ -0,0 +1,252 @@
+const os = require('os');
+const Database = require('../models/Database');
+const trackingService = require('./trackingService');
+const fulfillmentEventService = require('./fulfillmentEventService');
+const orderDeliveryStateService = require('./orderDeliveryStateService');
+const { resolveCarrier } = require('./carriers/detection');
+const { STATUS, isTerminal, normalizeTimestamp } = require('./shipmentEvents');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const LOCK_NAME = 'shipment_poller';
+
+// Shipments checked per run; the rest wait for the next run
+const BATCH_SIZE = 100;
+
+// Time until the next check, by shipment status
+const POLL_INTERVALS = {
+  [STATUS.LABEL_CREATED]: 6 * HOUR,
+  [STATUS.PICKED_UP]: 3 * HOUR,
+  [STATUS.IN_TRANSIT]: 3 * HOUR,
+  [STATUS.OUT_FOR_DELIVERY]: 30 * MINUTE,
+  [STATUS.EXCEPTION]: HOUR,
+  [STATUS.UNKNOWN]: 6 * HOUR
+};
+
+// Carriers without live data are only checked in case credentials get added
+const NO_LIVE_DATA_INTERVAL = DAY;
+
+/**
+ * Background polling of open shipments
+ *
+ * Every run re-checks the shipments that are due, stores new carrier events
+ * and schedules the next check based on the status. Polling stops once a
+ * shipment is delivered or returned, or when it has had no new events for
+ * SHIPMENT_POLL_STALE_DAYS. A database lock keeps several server instances
+ * from polling at the same time.
+ */
+class ShipmentPoller {
+  constructor(store) {
+    this.store = store;
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = false;
+    this.lastRequestAt = new Map();
+  }
+
+  getConfig() {
+    return {
+      enabled: process.env.SHIPMENT_POLLING_ENABLED !== 'false',
+      interval: (Number(process.env.SHIPMENT_POLL_INTERVAL_MINUTES) || 15) * MINUTE,
+      staleAfter: (Number(process.env.SHIPMENT_POLL_STALE_DAYS) || 30) * DAY
+    };
+  }
+
+  /**
+   * Start polling on an interval
+   */
+  start() {
+    const { enabled, interval } = this.getConfig();
+    if (!enabled || this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), interval);
+    this.timer.unref();
+
+    // First run shortly after startup, once the database is ready
+    setTimeout(() => this.runOnce(), MINUTE).unref();
+
+    console.log(`📦 Shipment polling every ${interval / MINUTE} minutes`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Poll the shipments that are due, if no other instance is polling
+   * @returns {Promise<Object>} { polled, skipped }
+   */
+  async runOnce() {
+    if (this.running) return { polled: 0, skipped: true };
+
+    const { interval } = this.getConfig();
+    this.running = true;
+
+    try {
+      const locked = await this.store.acquireLock(LOCK_NAME, this.owner, interval);
+      if (!locked) return { polled: 0, skipped: true };
+
+      const startedAt = Date.now();
+      const shipments = await this.store.getShipmentsDueForPolling(BATCH_SIZE);
+      let polled = 0;
+
+      for (const shipment of shipments) {
+        // Stay well inside the lock so another instance can't start alongside
+        if (Date.now() - startedAt > interval * 0.8) break;
+
+        try {
+          await this.pollShipment(shipment);
+          polled++;
+        } catch (error) {
+          console.error(`Error polling shipment ${shipment.tracking_number}:`, error.message);
+        }
+      }
+
+      if (polled > 0) {
+        console.log(`📦 Polled ${polled} of ${shipments.length} due shipments`);
+      }
+
+      return { polled, skipped: false };
+    } catch (error) {
+      console.error('Error running shipment poller:', error.message);
+      return { polled: 0, skipped: true };
+    } finally {
+      await this.store.releaseLock(LOCK_NAME, this.owner).catch(() => {});
+      this.running = false;
+    }
+  }
+
+  /**
+   * Fetch a shipment's tracking, store new events and schedule the next check
+   * @param {Object} shipment - shipments row
+   */
+  async pollShipment(shipment) {
+    const { adapter } = resolveCarrier(shipment.carrier, shipment.tracking_number);
+    await this.spaceRequests(adapter);
+
+    // A due poll needs the carrier's current data: poll intervals outlast the
+    // cache TTLs, so the cache would serve a stale result. The fresh result
+    // is cached for storefront lookups.
+    const tracking = await trackingService.getTrackingInfo(shipment.carrier, shipment.tracking_number, {
+      bypassCache: true
+    });
+    await this.recordTracking(shipment, tracking);
+  }
+
+  /**
+   * Store a tracking result on its shipment and schedule the next check.
+   * The status is sent to Shopify as a fulfillment event, and the order's
+   * delivery state metafields and tags are updated, when the shop has opted
+   * in.
+   * @param {Object} shipment - shipments row
+   * @param {Object} tracking - Result of trackingService.getTrackingInfo()
+   */
+  async recordTracking(shipment, tracking) {
+    const now = Date.now();
+
+    const events = (tracking.events || []).filter(event => event.timestamp);
+    const { added } = events.length > 0
+      ? await this.store.appendTrackingEvents(shipment.id, events)
+      : { added: 0 };
+
+    const status = tracking.success && tracking.status !== STATUS.UNKNOWN ? tracking.status : shipment.status;
+    const lastEventAt = events[0]?.timestamp || null;
+    const deliveredEvent = status === STATUS.DELIVERED
+      ? events.find(event => event.status === STATUS.DELIVERED)
+      : null;
+
+    const poll = {
+      status,
+      estimatedDelivery: tracking.estimatedDelivery,
+      deliveredAt: deliveredEvent?.timestamp || null,
+      lastEventAt,
+      polledAt: new Date(now).toISOString()
+    };
+
+    const lastActivity = new Date(
+      normalizeTimestamp(lastEventAt || shipment.last_event_at || shipment.created_at)
+    ).getTime();
+
+    if (isTerminal(status)) {
+      poll.pollingStoppedAt = poll.polledAt;
+      poll.stopReason = status;
+    } else if (now - lastActivity > this.getConfig().staleAfter) {
+      poll.pollingStoppedAt = poll.polledAt;
+      poll.stopReason = 'stale';
+    } else {
+      const interval = tracking.isLiveData === false && !tracking.carrierUnavailable
+        ? NO_LIVE_DATA_INTERVAL
+        : POLL_INTERVALS[status] || POLL_INTERVALS[STATUS.UNKNOWN];
+      poll.nextPollAt = new Date(now + interval).toISOString();
+    }
+
+    await this.store.updateShipmentPoll(shipment.id, poll);
+
+    if (status !== shipment.status) {
+      console.log(`📦 ${shipment.tracking_number}: ${shipment.status} → ${status} (${added} new events)`);
+    }
+
+    // Sent once per status; repeating it on every poll retries failed sends
+    if (status && status !== STATUS.UNKNOWN) {
+      await fulfillmentEventService.publish(shipment, status, {
+        event: events.find(event => event.status === status) || events[0],
+        estimatedDelivery: tracking.estimatedDelivery
+      });
+    }
+
+    // Only written when the order's combined state changed
+    await orderDeliveryStateService.syncOrder(shipment.shop_domain, shipment.order_id);
+  }
+
+  /**
+   * Start watching the shipments of an order's fulfillments
+   *
+   * Fulfillments that already carry a tracking result (storefront lookups
+   * attach one as `tracking`) have it stored right away.
+   *
+   * @param {string} shopDomain - Shop domain
+   * @param {Object} order - Shopify order ({ id, name })
+   * @param {Array} fulfillments - Fulfillments from shopifyService.getOrderFulfillments()
+   */
+  async watchFulfillments(shopDomain, order, fulfillments = []) {
+    if (!order?.id) return;
+
+    const shipments = await this.store.upsertShipmentsFromFulfillments(
+      shopDomain,
+      order.id,
+      fulfillments,
+      order.name || order.order_number || null
+    );
+
+    for (const fulfillment of fulfillments) {
+      const shipment = shipments.find(row => row.tracking_number === fulfillment.tracking_number);
+      if (shipment && fulfillment.tracking?.success && !shipment.polling_stopped_at) {
+        await this.recordTracking(shipment, fulfillment.tracking);
+      }
+    }
+  }
+
+  // Use at most half of a carrier's per-second limit, leaving the rest for
+  // storefront lookups
+  async spaceRequests(adapter) {
+    if (!adapter) return;
+
+    const spacing = 2000 / adapter.getRateLimit().requestsPerSecond;
+    const wait = (this.lastRequestAt.get(adapter.code) || 0) + spacing - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    this.lastRequestAt.set(adapter.code, Date.now());
+  }
+}
+
+module.exports = new ShipmentPoller(Database);
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Database = require('../models/Database');
+const shopifyService = require('./shopifyService');
+const webhookService = require('./webhookService');
+const orderSyncService = require('./orderSyncService');
+
+const DEFAULT_SCOPES = 'read_orders,write_orders,read_fulfillments,write_fulfillments';
+
+// How long an OAuth state parameter stays valid
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const SHOP_DOMAIN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i;
+
+/**
+ * Shopify app install and OAuth
+ *
+ * Handles the authorization-code flow for simple-server.js, persists each
+ * shop's offline token, granted scopes and shop details through
+ * Database.storeShopData, and reports whether the shop has to re-authorize.
+ * index.js runs the OAuth flow through @shopify/shopify-app-express and only
+ * uses completeInstall() and the status helpers.
+ */
+class ShopInstallService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Scopes the app asks for, from SCOPES
+   * @returns {Array<string>} Scope names
+   */
+  getRequiredScopes() {
+    return parseScopes(process.env.SCOPES || DEFAULT_SCOPES);
+  }
+
+  /**
+   * Required scopes a shop hasn't granted; write_x implies read_x
+   * @param {string|Array<string>} grantedScopes - Scopes granted at install
+   * @returns {Array<string>} Missing scopes
+   */
+  getMissingScopes(grantedScopes) {
+    const granted = new Set(parseScopes(grantedScopes));
+
+    return this.getRequiredScopes().filter(scope => {
+      if (granted.has(scope)) return false;
+      return !(scope.startsWith('read_') && granted.has(`write_${scope.slice(5)}`));
+    });
+  }
+
+  /**
+   * @param {string} shop - Shop domain
+   * @returns {boolean} True for a *.myshopify.com domain
+   */
+  isValidShopDomain(shop) {
+    return typeof shop === 'string' && SHOP_DOMAIN.test(shop);
+  }
+
+  /**
+   * Shopify authorization URL for installing or re-authorizing the app
+   * @param {string} shop - Shop domain
+   * @returns {string} URL to redirect the merchant to
+   */
+  getAuthUrl(shop) {
+    const params = new URLSearchParams({
+      client_id: process.env.SHOPIFY_API_KEY,
+      scope: this.getRequiredScopes().join(','),
+      redirect_uri: `${process.env.HOST}/auth/callback`,
+      state: this.createState(shop)
+    });
+
+    return `https://${shop}/admin/oauth/authorize?${params}`;
+  }
+
+  /**
+   * Check the hmac and state of an OAuth callback request
+   * @param {Object} query - Callback query parameters
+   * @returns {boolean} True when the request came from Shopify for our state
+   */
+  verifyCallback(query) {
+    return this.isValidShopDomain(query.shop)
+      && verifyQueryHmac(query)
+      && this.verifyState(query.shop, query.state);
+  }
+
+  /**
+   * Exchange an authorization code for the shop's offline access token
+   * @param {string} shop - Shop domain
+   * @param {string} code - Code from the OAuth callback
+   * @returns {Promise<Object>} { accessToken, scopes }
+   */
+  async exchangeCode(shop, code) {
+    const response = await axios.post(`https://${shop}/admin/oauth/access_token`, {
+      client_id: process.env.SHOPIFY_API_KEY,
+      client_secret: process.env.SHOPIFY_API_SECRET,
+      code
+    }, { timeout: 10000 });
+
+    if (!response.data?.access_token) {
+      throw new Error('Shopify did not return an access token');
+    }
+
+    return { accessToken: response.data.access_token, scopes: response.data.scope };
+  }
+
+  /**
+   * Persist a shop after OAuth, subscribe it to the app's webhooks and start
+   * syncing its orders
+   * @param {string} shop - Shop domain
+   * @param {string} accessToken - Offline access token
+   * @param {string} grantedScopes - Comma-separated scopes from the token response or session
+   * @returns {Promise<Object>} { missingScopes }
+   */
+  async completeInstall(shop, accessToken, grantedScopes) {
+    const info = await shopifyService.getShopInfo(shop, accessToken);
+    if (!info.success) {
+      console.error(`⚠️ Storing ${shop} without shop details:`, info.error);
+    }
+
+    await this.store.storeShopData(shop, accessToken, {
+      name: info.shop?.name,
+      email: info.shop?.email,
+      locale: info.shop?.primary_locale,
+      currency: info.shop?.currency,
+      scopes: parseScopes(grantedScopes).join(',')
+    });
+
+    if (process.env.HOST) {
+      const failed = await webhookService.registerWebhooks(shop, accessToken);
+      if (failed.length > 0) {
+        console.error(`⚠️ Webhooks not registered for ${shop}:`, failed.join(', '));
+      }
+    }
+
+    orderSyncService.startBackfill(shop, accessToken)
+      .catch(error => console.error(`⚠️ Order sync not started for ${shop}:`, error.message));
+
+    return { missingScopes: this.getMissingScopes(grantedScopes) };
+  }
+
+  /**
+   * Install state of a shop, and whether it has to re-authorize
+   * @param {string} shop - Shop domain
+   * @returns {Promise<Object>} { installed, active, scopes, missingScopes, reauthRequired, installedAt, uninstalledAt }
+   */
+  async getStatus(shop) {
+    const shopData = await this.store.getShopData(shop);
+    const installed = !!shopData;
+    const active = installed && !!shopData.is_active && !!shopData.access_token;
+    const missingScopes = active ? this.getMissingScopes(shopData.scopes) : this.getRequiredScopes();
+
+    return {
+      installed,
+      active,
+      scopes: parseScopes(shopData?.scopes),
+      missingScopes,
+      reauthRequired: !active || missingScopes.length > 0,
+      installedAt: shopData?.installed_at || null,
+      uninstalledAt: shopData?.uninstalled_at || null
+    };
+  }
+
+  // State: <expires>.<nonce>.<signature>, signed for this shop so it can't be
+  // replayed for another shop or after it expires
+  createState(shop) {
+    const expires = Date.now() + STATE_TTL_MS;
+    const nonce = crypto.randomBytes(12).toString('hex');
+    return `${expires}.${nonce}.${sign(`${shop}.${expires}.${nonce}`)}`;
+  }
+
+  verifyState(shop, state) {
+    const [expires, nonce, signature] = String(state || '').split('.');
+    if (!signature || Number(expires) < Date.now()) return false;
+
+    return safeEqual(signature, sign(`${shop}.${expires}.${nonce}`));
+  }
+}
+
+function parseScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(',');
+  return list.map(scope => scope.trim()).filter(Boolean);
+}
+
+function sign(message) {
+  if (!process.env.SHOPIFY_API_SECRET) {
+    throw new Error('SHOPIFY_API_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(message).digest('hex');
+}
+
+// Shopify signs OAuth redirects with an hmac over the other query
+// parameters, sorted and joined as key=value&...
+function verifyQueryHmac(query) {
+  const { hmac, signature, ...params } = query;
+  if (!hmac) return false;
+
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+
+  return safeEqual(hmac, sign(message));
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = new ShopInstallService(Database);
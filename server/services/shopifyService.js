@@ -1,20 +1,243 @@
-const { shopifyApi } = require('@shopify/shopify-api');
-const { ApiVersion } = require('@shopify/shopify-api');
+const crypto = require('crypto');
+const { shopifyApi, LATEST_API_VERSION } = require('@shopify/shopify-api');
 require('@shopify/shopify-api/adapters/node');
+const { resolveCarrier } = require('./carriers/detection');
 
+// Retries for a query rejected by Shopify's cost-based rate limit
+const MAX_THROTTLE_RETRIES = 4;
+const MAX_THROTTLE_WAIT_MS = 10000;
+
+// How far an app proxy request's signed timestamp may be from now, so a
+// captured storefront URL cannot be replayed indefinitely
+const PROXY_SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+
+// REST shipment_status values; other GraphQL display statuses have no
+// REST equivalent and map to null
+const SHIPMENT_STATUSES = [
+  'label_printed',
+  'label_purchased',
+  'attempted_delivery',
+  'ready_for_pickup',
+  'picked_up',
+  'confirmed',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'not_delivered',
+  'failure'
+];
+
+// GraphQL displayFulfillmentStatus -> REST fulfillment_status
+const ORDER_FULFILLMENT_STATUSES = {
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+  RESTOCKED: 'restocked'
+};
+
+// Query sizes keep the lookup below Shopify's 1000-point single query cost
+// limit. Fulfillment line items only carry the line item ID; product and
+// variant IDs come from the order's line items.
+const FULFILLMENT_FIELDS = `
+  id
+  status
+  displayStatus
+  createdAt
+  updatedAt
+  location { id }
+  trackingInfo(first: 5) { company number url }
+  fulfillmentLineItems(first: 20) {
+    nodes {
+      quantity
+      lineItem { id title }
+    }
+  }
+`;
+
+const LINE_ITEM_FIELDS = `
+  id
+  title
+  quantity
+  unfulfilledQuantity
+  variantTitle
+  originalUnitPriceSet { shopMoney { amount } }
+  image { url }
+  product { id }
+  variant { id }
+`;
+
+const ORDER_FIELDS = `
+  id
+  name
+  email
+  phone
+  createdAt
+  updatedAt
+  cancelledAt
+  displayFinancialStatus
+  displayFulfillmentStatus
+  currencyCode
+  totalPriceSet { shopMoney { amount } }
+`;
+
+// One round trip: the order with its line items, images, fulfillments and
+// tracking info. Order names are unique, so few matches are expected.
+const FIND_ORDERS_QUERY = `
+  query FindOrders($query: String!) {
+    orders(first: 2, query: $query) {
+      nodes {
+        ${ORDER_FIELDS}
+        lineItems(first: 20) { nodes { ${LINE_ITEM_FIELDS} } }
+        fulfillments(first: 5) { ${FULFILLMENT_FIELDS} }
+      }
+    }
+  }
+`;
+
+const ORDER_QUERY = `
+  query Order($id: ID!) {
+    order(id: $id) {
+      ${ORDER_FIELDS}
+      lineItems(first: 50) { nodes { ${LINE_ITEM_FIELDS} } }
+      fulfillments(first: 10) { ${FULFILLMENT_FIELDS} }
+    }
+  }
+`;
+
+const ORDER_FULFILLMENTS_QUERY = `
+  query OrderFulfillments($id: ID!) {
+    order(id: $id) {
+      lineItems(first: 50) { nodes { id product { id } variant { id } } }
+      fulfillments(first: 10) { ${FULFILLMENT_FIELDS} }
+    }
+  }
+`;
+
+const ORDERS_QUERY = `
+  query Orders($first: Int!, $after: String, $query: String, $sortKey: OrderSortKeys, $reverse: Boolean) {
+    orders(first: $first, after: $after, query: $query, sortKey: $sortKey, reverse: $reverse) {
+      nodes {
+        ${ORDER_FIELDS}
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const PRODUCTS_QUERY = `
+  query RecommendedProducts($first: Int!, $query: String) {
+    products(first: $first, query: $query) {
+      nodes {
+        id
+        title
+        handle
+        productType
+        tags
+        featuredImage { url }
+        variants(first: 1) {
+          nodes {
+            price
+            compareAtPrice
+            inventoryQuantity
+            inventoryPolicy
+          }
+        }
+      }
+    }
+  }
+`;
+
+const SHOP_QUERY = `
+  query ShopInfo {
+    shop {
+      name
+      email
+      currencyCode
+      myshopifyDomain
+      ianaTimezone
+    }
+    shopLocales(published: true) { locale primary }
+  }
+`;
+
+const WEBHOOK_SUBSCRIPTION_MUTATION = `
+  mutation WebhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $callbackUrl: URL!) {
+    webhookSubscriptionCreate(topic: $topic, webhookSubscription: { callbackUrl: $callbackUrl, format: JSON }) {
+      webhookSubscription { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const FULFILLMENT_EVENT_MUTATION = `
+  mutation FulfillmentEventCreate($fulfillmentEvent: FulfillmentEventInput!) {
+    fulfillmentEventCreate(fulfillmentEvent: $fulfillmentEvent) {
+      fulfillmentEvent { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { key }
+      userErrors { field message }
+    }
+  }
+`;
+
+const METAFIELDS_DELETE_MUTATION = `
+  mutation MetafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields { key }
+      userErrors { field message }
+    }
+  }
+`;
+
+const TAGS_ADD_MUTATION = `
+  mutation TagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const TAGS_REMOVE_MUTATION = `
+  mutation TagsRemove($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) {
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Shopify Admin API access
+ *
+ * Orders, products and shop details are read through the GraphQL Admin API.
+ * Results are mapped to the REST field names (numeric IDs, snake_case,
+ * lowercase statuses) the routes and the rest of the app were written
+ * against. Queries are paced by Shopify's cost-based rate limit: each
+ * shop's remaining query budget is tracked from the response cost, and a
+ * throttled query is retried once enough budget has been restored.
+ */
 class ShopifyService {
   constructor() {
     this.shopify = shopifyApi({
       apiKey: process.env.SHOPIFY_API_KEY,
       apiSecretKey: process.env.SHOPIFY_API_SECRET,
-      scopes: process.env.SCOPES?.split(',') || ['read_orders', 'read_fulfillments'],
+      scopes: process.env.SCOPES?.split(',') || ['read_orders', 'write_orders', 'read_fulfillments', 'write_fulfillments'],
       hostName: process.env.HOST?.replace(/https?:\/\//, '') || 'localhost',
-      apiVersion: ApiVersion.October23,
+      apiVersion: LATEST_API_VERSION,
       isEmbeddedApp: true,
       logger: {
         level: process.env.NODE_ENV === 'development' ? 'debug' : 'info',
       },
     });
+
+    // shop -> { available, maximum, restoreRate, lastCost, updatedAt }; the
+    // last query's cost estimates the next one before it is sent
+    this.throttle = new Map();
   }
 
   /**
@@ -28,13 +251,36 @@ class ShopifyService {
   }
 
   /**
-   * Get a REST client for the given shop
+   * Run a GraphQL Admin API query, waiting out the shop's rate limit
    * @param {string} shop - Shop domain
    * @param {string} accessToken - Shop access token
-   * @returns {Object} REST client
+   * @param {string} query - GraphQL document
+   * @param {Object} [variables] - Query variables
+   * @returns {Promise<Object>} Response data
    */
-  getRestClient(shop, accessToken) {
-    return new this.shopify.clients.Rest({ session: { shop, accessToken } });
+  async graphql(shop, accessToken, query, variables = {}) {
+    const client = this.getGraphQLClient(shop, accessToken);
+
+    for (let attempt = 0; ; attempt++) {
+      await sleep(this.getThrottleDelay(shop, this.throttle.get(shop)?.lastCost));
+
+      try {
+        const response = await client.request(query, { variables });
+        this.updateThrottle(shop, response.extensions?.cost);
+        return response.data;
+      } catch (error) {
+        const { throttled, cost } = readThrottleError(error);
+        this.updateThrottle(shop, cost);
+
+        if (!throttled || attempt >= MAX_THROTTLE_RETRIES) throw error;
+
+        const delay = cost?.requestedQueryCost
+          ? this.getThrottleDelay(shop, cost.requestedQueryCost)
+          : 0;
+        console.log(`⏳ Shopify API throttled for ${shop}, retrying (${attempt + 1}/${MAX_THROTTLE_RETRIES})`);
+        await sleep(Math.max(delay, 1000 * 2 ** attempt));
+      }
+    }
   }
 
   /**
@@ -47,31 +293,24 @@ class ShopifyService {
    */
   async findOrderByNumberAndContact(shop, accessToken, orderNumber, contactInfo) {
     try {
-      const client = this.getRestClient(shop, accessToken);
-      
       // Clean order number (remove # if present)
       const cleanOrderNumber = orderNumber.replace(/^#/, '');
-      
-      // First, try to find the order by order number
-      const ordersResponse = await client.get({
-        path: 'orders',
-        query: {
-          name: cleanOrderNumber,
-          status: 'any',
-          limit: 10
-        }
+
+      const data = await this.graphql(shop, accessToken, FIND_ORDERS_QUERY, {
+        query: `name:${searchValue(cleanOrderNumber)} status:any`
       });
+      const orders = data?.orders?.nodes || [];
 
-      if (!ordersResponse.body.orders || ordersResponse.body.orders.length === 0) {
+      if (orders.length === 0) {
         return { success: false, error: 'Order not found' };
       }
 
       // Find the order that matches the contact info
-      const matchingOrder = ordersResponse.body.orders.find(order => {
+      const matchingOrder = orders.find(order => {
         const email = order.email?.toLowerCase();
         const phone = order.phone;
         const contactLower = contactInfo.toLowerCase();
-        
+
         // Check if contact info matches email or phone
         return email === contactLower || phone === contactInfo;
       });
@@ -80,33 +319,9 @@ class ShopifyService {
         return { success: false, error: 'Order not found with provided contact information' };
       }
 
-      // Get fulfillments for this order
-      const fulfillments = await this.getOrderFulfillments(shop, accessToken, matchingOrder.id);
-      
       return {
         success: true,
-        order: {
-          id: matchingOrder.id,
-          order_number: matchingOrder.order_number,
-          name: matchingOrder.name,
-          email: matchingOrder.email,
-          phone: matchingOrder.phone,
-          created_at: matchingOrder.created_at,
-          financial_status: matchingOrder.financial_status,
-          fulfillment_status: matchingOrder.fulfillment_status,
-          total_price: matchingOrder.total_price,
-          currency: matchingOrder.currency,
-          line_items: matchingOrder.line_items?.map(item => ({
-            id: item.id,
-            title: item.title,
-            quantity: item.quantity,
-            price: item.price,
-            variant_title: item.variant_title,
-            product_id: item.product_id,
-            variant_id: item.variant_id
-          })),
-          fulfillments: fulfillments
-        }
+        order: this.toOrder(matchingOrder)
       };
     } catch (error) {
       console.error('Error finding order:', error);
@@ -123,35 +338,14 @@ class ShopifyService {
    */
   async getOrderFulfillments(shop, accessToken, orderId) {
     try {
-      const client = this.getRestClient(shop, accessToken);
-      
-      const fulfillmentsResponse = await client.get({
-        path: `orders/${orderId}/fulfillments`
+      const data = await this.graphql(shop, accessToken, ORDER_FULFILLMENTS_QUERY, {
+        id: toGid('Order', orderId)
       });
 
-      if (!fulfillmentsResponse.body.fulfillments) {
-        return [];
-      }
+      if (!data?.order) return [];
 
-      return fulfillmentsResponse.body.fulfillments.map(fulfillment => ({
-        id: fulfillment.id,
-        status: fulfillment.status,
-        created_at: fulfillment.created_at,
-        updated_at: fulfillment.updated_at,
-        tracking_company: fulfillment.tracking_company,
-        tracking_number: fulfillment.tracking_number,
-        tracking_url: fulfillment.tracking_url,
-        tracking_urls: fulfillment.tracking_urls,
-        shipment_status: fulfillment.shipment_status,
-        location_id: fulfillment.location_id,
-        line_items: fulfillment.line_items?.map(item => ({
-          id: item.id,
-          title: item.title,
-          quantity: item.quantity,
-          product_id: item.product_id,
-          variant_id: item.variant_id
-        }))
-      }));
+      const lineItems = indexLineItems(data.order.lineItems?.nodes);
+      return (data.order.fulfillments || []).map(fulfillment => this.toFulfillment(fulfillment, lineItems));
     } catch (error) {
       console.error('Error getting fulfillments:', error);
       return [];
@@ -159,32 +353,40 @@ class ShopifyService {
   }
 
   /**
-   * Get all orders for admin dashboard
+   * Get a page of orders, newest first unless sorted otherwise. Pass
+   * pageInfo.endCursor back as `after` for the next page.
    * @param {string} shop - Shop domain
    * @param {string} accessToken - Shop access token
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} Orders data
+   * @param {Object} options - { status, limit, after, name, created_at_min, created_at_max, updated_at_min, sort_key, reverse, query }
+   * @returns {Promise<Object>} { success, orders, count, pageInfo: { hasNextPage, endCursor } }
    */
   async getOrders(shop, accessToken, options = {}) {
     try {
-      const client = this.getRestClient(shop, accessToken);
-      
-      const query = {
-        status: options.status || 'any',
-        limit: options.limit || 50,
-        fields: 'id,order_number,name,email,created_at,financial_status,fulfillment_status,total_price,currency',
-        ...options.query
-      };
+      const filters = [`status:${options.status || 'any'}`];
+      if (options.name) filters.push(`name:${searchValue(options.name)}`);
+      if (options.created_at_min) filters.push(`created_at:>=${searchValue(options.created_at_min)}`);
+      if (options.created_at_max) filters.push(`created_at:<=${searchValue(options.created_at_max)}`);
+      if (options.updated_at_min) filters.push(`updated_at:>=${searchValue(options.updated_at_min)}`);
+      if (options.query) filters.push(options.query);
 
-      const ordersResponse = await client.get({
-        path: 'orders',
-        query
+      const data = await this.graphql(shop, accessToken, ORDERS_QUERY, {
+        first: Math.min(options.limit || 50, 250),
+        after: options.after || null,
+        query: filters.join(' '),
+        sortKey: options.sort_key || 'CREATED_AT',
+        reverse: options.reverse ?? true
       });
+      const orders = (data?.orders?.nodes || []).map(order => toOrderSummary(order));
+      const pageInfo = data?.orders?.pageInfo;
 
       return {
         success: true,
-        orders: ordersResponse.body.orders || [],
-        count: ordersResponse.body.orders?.length || 0
+        orders,
+        count: orders.length,
+        pageInfo: {
+          hasNextPage: Boolean(pageInfo?.hasNextPage),
+          endCursor: pageInfo?.endCursor || null
+        }
       };
     } catch (error) {
       console.error('Error getting orders:', error);
@@ -201,25 +403,17 @@ class ShopifyService {
    */
   async getOrderById(shop, accessToken, orderId) {
     try {
-      const client = this.getRestClient(shop, accessToken);
-      
-      const orderResponse = await client.get({
-        path: `orders/${orderId}`
+      const data = await this.graphql(shop, accessToken, ORDER_QUERY, {
+        id: toGid('Order', orderId)
       });
 
-      if (!orderResponse.body.order) {
+      if (!data?.order) {
         return { success: false, error: 'Order not found' };
       }
 
-      const order = orderResponse.body.order;
-      const fulfillments = await this.getOrderFulfillments(shop, accessToken, orderId);
-      
       return {
         success: true,
-        order: {
-          ...order,
-          fulfillments: fulfillments
-        }
+        order: this.toOrder(data.order)
       };
     } catch (error) {
       console.error('Error getting order by ID:', error);
@@ -231,43 +425,36 @@ class ShopifyService {
    * Get recommended products for upselling
    * @param {string} shop - Shop domain
    * @param {string} accessToken - Shop access token
-   * @param {Object} options - Query options
+   * @param {Object} options - { limit, query }
    * @returns {Promise<Object>} Products data
    */
   async getRecommendedProducts(shop, accessToken, options = {}) {
     try {
-      const client = this.getRestClient(shop, accessToken);
-      
-      const query = {
-        limit: options.limit || 12,
-        published_status: 'published',
-        fields: 'id,title,handle,images,variants,product_type,tags',
-        ...options.query
-      };
+      const filters = ['status:active', 'published_status:published'];
+      if (options.query) filters.push(options.query);
 
-      const productsResponse = await client.get({
-        path: 'products',
-        query
+      const data = await this.graphql(shop, accessToken, PRODUCTS_QUERY, {
+        first: Math.min(options.limit || 12, 250),
+        query: filters.join(' ')
       });
 
-      const products = productsResponse.body.products || [];
-      
+      const products = data?.products?.nodes || [];
+
       // Transform products for frontend consumption
       const transformedProducts = products.map(product => {
-        const firstVariant = product.variants?.[0];
-        const firstImage = product.images?.[0];
-        
+        const firstVariant = product.variants?.nodes?.[0];
+
         return {
-          id: product.id,
+          id: toLegacyId(product.id),
           title: product.title,
           handle: product.handle,
-          product_type: product.product_type,
-          tags: product.tags,
+          product_type: product.productType,
+          tags: (product.tags || []).join(', '),
           price: firstVariant?.price || '0.00',
-          compare_at_price: firstVariant?.compare_at_price,
-          featured_image: firstImage?.src || null,
+          compare_at_price: firstVariant?.compareAtPrice || null,
+          featured_image: product.featuredImage?.url || null,
           url: `/products/${product.handle}`,
-          available: firstVariant?.inventory_quantity > 0 || firstVariant?.inventory_policy === 'continue'
+          available: firstVariant?.inventoryQuantity > 0 || firstVariant?.inventoryPolicy === 'CONTINUE'
         };
       });
 
@@ -289,15 +476,19 @@ class ShopifyService {
    */
   async getShopInfo(shop, accessToken) {
     try {
-      const client = this.getRestClient(shop, accessToken);
-      
-      const shopResponse = await client.get({
-        path: 'shop'
-      });
+      const data = await this.graphql(shop, accessToken, SHOP_QUERY);
+      const primaryLocale = data.shopLocales?.find(locale => locale.primary);
 
       return {
         success: true,
-        shop: shopResponse.body.shop
+        shop: {
+          name: data.shop.name,
+          email: data.shop.email,
+          currency: data.shop.currencyCode,
+          primary_locale: primaryLocale?.locale || null,
+          myshopify_domain: data.shop.myshopifyDomain,
+          iana_timezone: data.shop.ianaTimezone
+        }
       };
     } catch (error) {
       console.error('Error getting shop info:', error);
@@ -306,57 +497,351 @@ class ShopifyService {
   }
 
   /**
-   * Validate webhook
-   * @param {string} body - Raw webhook body
-   * @param {string} signature - Webhook signature header
-   * @returns {boolean} Whether webhook is valid
+   * Subscribe the shop to a webhook topic; an existing subscription for the
+   * same address counts as success
+   * @param {string} shop - Shop domain
+   * @param {string} accessToken - Shop access token
+   * @param {string} topic - Webhook topic (e.g. 'app/uninstalled')
+   * @param {string} address - HTTPS URL receiving the webhook
+   * @returns {Promise<Object>} Result
    */
-  validateWebhook(body, signature) {
+  async registerWebhook(shop, accessToken, topic, address) {
     try {
-      return this.shopify.webhooks.validate({
-        rawBody: body,
-        headers: { 'x-shopify-hmac-sha256': signature }
+      const data = await this.graphql(shop, accessToken, WEBHOOK_SUBSCRIPTION_MUTATION, {
+        topic: topic.toUpperCase().replace(/\//g, '_'),
+        callbackUrl: address
       });
+
+      const errors = (data.webhookSubscriptionCreate.userErrors || [])
+        // "Address for this topic has already been taken"
+        .filter(error => !/already been taken/i.test(error.message));
+
+      if (errors.length > 0) {
+        throw new Error(errors.map(error => error.message).join('; '));
+      }
+
+      return { success: true };
     } catch (error) {
-      console.error('Error validating webhook:', error);
+      console.error(`Error registering ${topic} webhook:`, error);
+      return { success: false, error: 'Failed to register webhook' };
+    }
+  }
+
+  /**
+   * Map a GraphQL order to the REST order shape
+   * @param {Object} order - Order node with line items and fulfillments
+   * @returns {Object} Order with line_items and fulfillments
+   */
+  toOrder(order) {
+    const lineItems = indexLineItems(order.lineItems?.nodes);
+
+    return {
+      ...toOrderSummary(order),
+      phone: order.phone,
+      line_items: order.lineItems?.nodes?.map(item => ({
+        id: toLegacyId(item.id),
+        title: item.title,
+        quantity: item.quantity,
+        fulfillable_quantity: item.unfulfilledQuantity,
+        price: item.originalUnitPriceSet?.shopMoney?.amount,
+        variant_title: item.variantTitle,
+        product_id: toLegacyId(item.product?.id),
+        variant_id: toLegacyId(item.variant?.id),
+        image: item.image?.url || null
+      })),
+      fulfillments: (order.fulfillments || []).map(fulfillment => this.toFulfillment(fulfillment, lineItems))
+    };
+  }
+
+  /**
+   * Map a GraphQL fulfillment to the REST fulfillment shape
+   * @param {Object} fulfillment - Fulfillment node
+   * @param {Map} [lineItems] - Order line items by ID, for product and variant IDs
+   * @returns {Object} Fulfillment with tracking info
+   */
+  toFulfillment(fulfillment, lineItems = new Map()) {
+    const trackingInfo = fulfillment.trackingInfo || [];
+    const [primary] = trackingInfo;
+    const shipmentStatus = fulfillment.displayStatus?.toLowerCase();
+
+    return {
+      id: toLegacyId(fulfillment.id),
+      status: fulfillment.status?.toLowerCase(),
+      created_at: fulfillment.createdAt,
+      updated_at: fulfillment.updatedAt,
+      tracking_company: primary?.company || null,
+      tracking_number: primary?.number || null,
+      tracking_numbers: trackingInfo.map(info => info.number).filter(Boolean),
+      tracking_url: primary?.url ||
+        this.createTrackingUrl(primary?.company, primary?.number),
+      tracking_urls: trackingInfo.map(info => info.url).filter(Boolean),
+      shipment_status: SHIPMENT_STATUSES.includes(shipmentStatus) ? shipmentStatus : null,
+      location_id: toLegacyId(fulfillment.location?.id),
+      line_items: fulfillment.fulfillmentLineItems?.nodes?.map(item => {
+        const lineItem = lineItems.get(item.lineItem?.id);
+
+        return {
+          id: toLegacyId(item.lineItem?.id),
+          title: item.lineItem?.title,
+          quantity: item.quantity,
+          product_id: toLegacyId(lineItem?.product?.id),
+          variant_id: toLegacyId(lineItem?.variant?.id)
+        };
+      })
+    };
+  }
+
+  // Milliseconds until the shop's bucket can pay for a query of this cost
+  getThrottleDelay(shop, cost) {
+    const state = this.throttle.get(shop);
+    if (!state || !cost || !state.restoreRate) return 0;
+
+    const elapsed = (Date.now() - state.updatedAt) / 1000;
+    const available = Math.min(state.maximum, state.available + elapsed * state.restoreRate);
+    if (available >= cost) return 0;
+
+    return Math.min(MAX_THROTTLE_WAIT_MS, Math.ceil(((cost - available) / state.restoreRate) * 1000));
+  }
+
+  // extensions.cost from a GraphQL response
+  updateThrottle(shop, cost) {
+    const status = cost?.throttleStatus;
+    if (!status) return;
+
+    this.throttle.set(shop, {
+      available: status.currentlyAvailable,
+      maximum: status.maximumAvailable,
+      restoreRate: status.restoreRate,
+      lastCost: cost.requestedQueryCost,
+      updatedAt: Date.now()
+    });
+  }
+
+  /**
+   * Add a tracking event to a fulfillment; Shopify shows it on the order
+   * status page and may notify the customer
+   * @param {string} shop - Shop domain
+   * @param {string} accessToken - Shop access token
+   * @param {number|string} fulfillmentId - Fulfillment ID
+   * @param {Object} event - { status (FulfillmentEventStatus, e.g. 'IN_TRANSIT'), happenedAt, message, city, province, country, zip, estimatedDeliveryAt }
+   * @returns {Promise<Object>} { success, eventId }
+   */
+  async createFulfillmentEvent(shop, accessToken, fulfillmentId, event) {
+    try {
+      const data = await this.graphql(shop, accessToken, FULFILLMENT_EVENT_MUTATION, {
+        fulfillmentEvent: {
+          fulfillmentId: toGid('Fulfillment', fulfillmentId),
+          status: event.status,
+          happenedAt: event.happenedAt || undefined,
+          message: event.message || undefined,
+          city: event.city || undefined,
+          province: event.province || undefined,
+          country: event.country || undefined,
+          zip: event.zip || undefined,
+          estimatedDeliveryAt: event.estimatedDeliveryAt || undefined
+        }
+      });
+
+      const { fulfillmentEvent, userErrors = [] } = data.fulfillmentEventCreate;
+      if (userErrors.length > 0) {
+        throw new Error(userErrors.map(error => error.message).join('; '));
+      }
+
+      return { success: true, eventId: toLegacyId(fulfillmentEvent?.id) };
+    } catch (error) {
+      console.error(`Error creating ${event.status} fulfillment event:`, error.message);
+      return { success: false, error: 'Failed to create fulfillment event' };
+    }
+  }
+
+  /**
+   * Set and delete metafields on an order
+   * @param {string} shop - Shop domain
+   * @param {string} accessToken - Shop access token
+   * @param {number|string} orderId - Order ID
+   * @param {Object} changes - { namespace, set: [{ key, type, value }], remove: [key] }
+   * @returns {Promise<Object>} { success }
+   */
+  async updateOrderMetafields(shop, accessToken, orderId, { namespace, set = [], remove = [] }) {
+    const ownerId = toGid('Order', orderId);
+
+    try {
+      if (set.length > 0) {
+        const data = await this.graphql(shop, accessToken, METAFIELDS_SET_MUTATION, {
+          metafields: set.map(({ key, type, value }) => ({ ownerId, namespace, key, type, value }))
+        });
+        throwUserErrors(data.metafieldsSet);
+      }
+
+      if (remove.length > 0) {
+        const data = await this.graphql(shop, accessToken, METAFIELDS_DELETE_MUTATION, {
+          metafields: remove.map(key => ({ ownerId, namespace, key }))
+        });
+        throwUserErrors(data.metafieldsDelete);
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error(`Error updating metafields of order ${orderId}:`, error.message);
+      return { success: false, error: 'Failed to update order metafields' };
+    }
+  }
+
+  /**
+   * Add and remove order tags
+   * @param {string} shop - Shop domain
+   * @param {string} accessToken - Shop access token
+   * @param {number|string} orderId - Order ID
+   * @param {Object} changes - { add: [tag], remove: [tag] }
+   * @returns {Promise<Object>} { success }
+   */
+  async updateOrderTags(shop, accessToken, orderId, { add = [], remove = [] }) {
+    const id = toGid('Order', orderId);
+
+    try {
+      if (remove.length > 0) {
+        const data = await this.graphql(shop, accessToken, TAGS_REMOVE_MUTATION, { id, tags: remove });
+        throwUserErrors(data.tagsRemove);
+      }
+
+      if (add.length > 0) {
+        const data = await this.graphql(shop, accessToken, TAGS_ADD_MUTATION, { id, tags: add });
+        throwUserErrors(data.tagsAdd);
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error(`Error updating tags of order ${orderId}:`, error.message);
+      return { success: false, error: 'Failed to update order tags' };
+    }
+  }
+
+  /**
+   * Validate webhook
+   * @param {Buffer|string} body - Raw webhook body, exactly as received
+   * @param {string} signature - X-Shopify-Hmac-Sha256 header (base64)
+   * @returns {boolean} Whether webhook is valid
+   */
+  validateWebhook(body, signature) {
+    if (!Buffer.isBuffer(body) && typeof body !== 'string') return false;
+    if (!body.length || typeof signature !== 'string' || !process.env.SHOPIFY_API_SECRET) return false;
+
+    const expected = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(body).digest();
+    const provided = Buffer.from(signature, 'base64');
+
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * Validate an app proxy request. Shopify signs the query parameters it
+   * forwards, sorted and concatenated as key=value with no separator
+   * (repeated keys joined with commas), and adds the hex HMAC as `signature`.
+   * The signed `timestamp` must be within five minutes of now.
+   * @param {Object} query - Parsed query string of the proxied request
+   * @returns {boolean} Whether the signature is valid
+   */
+  validateProxySignature(query) {
+    const { signature, ...params } = query || {};
+    if (typeof signature !== 'string' || !process.env.SHOPIFY_API_SECRET) return false;
+
+    const timestamp = Number(params.timestamp);
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > PROXY_SIGNATURE_MAX_AGE_SECONDS) {
       return false;
     }
+
+    const message = Object.keys(params)
+      .sort()
+      .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+      .join('');
+
+    // Compare the hex text itself: Buffer.from(hex) stops at the first
+    // invalid character, so trailing garbage would otherwise be ignored
+    const expected = Buffer.from(crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(message).digest('hex'));
+    const provided = Buffer.from(signature.toLowerCase());
+
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
   }
 
   /**
    * Create a tracking URL for common carriers
-   * @param {string} carrier - Carrier name
+   * @param {string} carrier - Carrier name (detected from the tracking number if missing)
    * @param {string} trackingNumber - Tracking number
    * @returns {string|null} Tracking URL or null if carrier not supported
    */
   createTrackingUrl(carrier, trackingNumber) {
-    if (!carrier || !trackingNumber) return null;
+    if (!trackingNumber) return null;
     
-    const carrierLower = carrier.toLowerCase();
-    const trackingUrls = {
-      'ups': `https://www.ups.com/track?tracknum=${trackingNumber}`,
-      'fedex': `https://www.fedex.com/fedextrack/?trknbr=${trackingNumber}`,
-      'usps': `https://tools.usps.com/go/TrackConfirmAction?tLabels=${trackingNumber}`,
-      'dhl': `https://www.dhl.com/en/express/tracking.html?AWB=${trackingNumber}`,
-      'canada post': `https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor=${trackingNumber}`,
-      'royal mail': `https://www.royalmail.com/track-your-item#/tracking-results/${trackingNumber}`,
-      'australia post': `https://auspost.com.au/mypost/track/#/details/${trackingNumber}`,
-    };
-    
-    // Try exact match first
-    if (trackingUrls[carrierLower]) {
-      return trackingUrls[carrierLower];
-    }
-    
-    // Try partial matches
-    for (const [key, url] of Object.entries(trackingUrls)) {
-      if (carrierLower.includes(key) || key.includes(carrierLower)) {
-        return url;
-      }
-    }
-    
-    return null;
+    const { adapter } = resolveCarrier(carrier, trackingNumber);
+    return adapter ? adapter.buildTrackingUrl(trackingNumber) : null;
   }
 }
 
+function toOrderSummary(order) {
+  const orderNumber = parseInt(String(order.name || '').replace(/\D/g, ''), 10);
+
+  return {
+    id: toLegacyId(order.id),
+    order_number: Number.isNaN(orderNumber) ? null : orderNumber,
+    name: order.name,
+    email: order.email,
+    created_at: order.createdAt,
+    updated_at: order.updatedAt,
+    cancelled_at: order.cancelledAt || null,
+    financial_status: order.displayFinancialStatus?.toLowerCase() || null,
+    fulfillment_status: ORDER_FULFILLMENT_STATUSES[order.displayFulfillmentStatus] || null,
+    total_price: order.totalPriceSet?.shopMoney?.amount,
+    currency: order.currencyCode
+  };
+}
+
+function indexLineItems(lineItems = []) {
+  return new Map(lineItems.map(item => [item.id, item]));
+}
+
+// gid://shopify/Order/123 -> 123
+function toLegacyId(gid) {
+  if (!gid) return null;
+  const id = String(gid).split('/').pop().split('?')[0];
+  return /^\d+$/.test(id) ? Number(id) : id;
+}
+
+function toGid(type, id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+}
+
+// Quote a value for Shopify's search syntax
+function searchValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Mutations report invalid input as userErrors rather than failing
+function throwUserErrors(payload) {
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new Error(userErrors.map(error => error.message).join('; '));
+  }
+}
+
+// Whether a failed request was rate limited, and the cost info it carried.
+// Exceeding the query budget is reported as a THROTTLED GraphQL error;
+// exceeding the request rate as HTTP 429.
+function readThrottleError(error) {
+  const response = error.response || {};
+  const body = error.body || {};
+  const errors = [].concat(
+    response.errors?.graphQLErrors || response.errors || [],
+    body.errors?.graphQLErrors || body.errors || []
+  );
+
+  return {
+    throttled: response.code === 429 ||
+      errors.some(graphqlError => graphqlError?.extensions?.code === 'THROTTLED'),
+    cost: response.extensions?.cost || body.extensions?.cost || null
+  };
+}
+
+function sleep(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
 module.exports = new ShopifyService();
\ No newline at end of file
@@ -0,0 +1,182 @@
+const Database = require('../models/Database');
+const { STATUS } = require('./shipmentEvents');
+const { normalizeTrackingNumber } = require('./carriers/detection');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How long a result is fresh, by shipment status. Shipments close to
+// delivery change quickly; delivered and returned shipments are final.
+const STATUS_TTLS = {
+  [STATUS.LABEL_CREATED]: 4 * HOUR,
+  [STATUS.PICKED_UP]: 2 * HOUR,
+  [STATUS.IN_TRANSIT]: 2 * HOUR,
+  [STATUS.OUT_FOR_DELIVERY]: 15 * MINUTE,
+  [STATUS.EXCEPTION]: 30 * MINUTE,
+  [STATUS.DELIVERED]: 7 * 24 * HOUR,
+  [STATUS.RETURNED]: 7 * 24 * HOUR,
+  [STATUS.UNKNOWN]: 30 * MINUTE
+};
+
+// Link-out results without live data are retried sooner
+const FALLBACK_TTL = 15 * MINUTE;
+
+// After expiring, a result may still be served while it is refreshed
+const STALE_TTL = 24 * HOUR;
+
+const MAX_MEMORY_ENTRIES = 1000;
+
+// How often expired rows are removed from the database
+const PURGE_INTERVAL = HOUR;
+
+/**
+ * Two-level cache (memory, then SQLite) for carrier tracking results
+ */
+class TrackingCache {
+  constructor(store) {
+    this.store = store;
+    this.memory = new Map();
+    this.revalidating = new Map();
+    this.lastPurgeAt = 0;
+  }
+
+  /**
+   * Get a tracking result from the cache or fetch it
+   *
+   * Fresh results are returned directly. Expired results still inside the
+   * stale window are returned immediately while a background fetch refreshes
+   * them. Otherwise the result is fetched and cached; if the carrier can't be
+   * reached (outage or exhausted budget) the last live result is served.
+   *
+   * @param {string} carrier - Carrier name (may be empty)
+   * @param {string} trackingNumber - Tracking number
+   * @param {Function} fetcher - async () => tracking result
+   * @param {Object} [options] - { bypass: true } to skip the cache and refetch
+   * @returns {Promise<Object>} Tracking result with a `cache` descriptor
+   */
+  async getOrFetch(carrier, trackingNumber, fetcher, { bypass = false } = {}) {
+    const key = this.cacheKey(carrier, trackingNumber);
+    const cached = await this.get(key);
+
+    if (!bypass) {
+      const now = Date.now();
+
+      if (cached && cached.expiresAt > now) {
+        return this.withCacheInfo(cached, 'hit');
+      }
+
+      if (cached && cached.staleUntil > now) {
+        this.revalidate(key, fetcher);
+        return this.withCacheInfo(cached, 'stale');
+      }
+    }
+
+    const entry = await this.fetchAndStore(key, fetcher);
+
+    // Carrier down or over budget: any earlier live result beats a link-out
+    if (entry.data?.carrierUnavailable && cached?.data?.isLiveData) {
+      return this.withCacheInfo(cached, 'stale');
+    }
+
+    return this.withCacheInfo(entry, bypass ? 'bypass' : 'miss');
+  }
+
+  /**
+   * Time-to-live for a tracking result
+   * @param {Object} result - Tracking result
+   * @returns {number} Milliseconds the result stays fresh
+   */
+  getTtl(result) {
+    if (result.isLiveData === false) return FALLBACK_TTL;
+    return STATUS_TTLS[result.status] || STATUS_TTLS[STATUS.UNKNOWN];
+  }
+
+  async get(key) {
+    if (this.memory.has(key)) {
+      return this.memory.get(key);
+    }
+
+    try {
+      const entry = await this.store.getCachedTracking(key);
+      if (entry) this.remember(key, entry);
+      return entry;
+    } catch (error) {
+      console.error('Error reading tracking cache:', error.message);
+      return null;
+    }
+  }
+
+  async fetchAndStore(key, fetcher) {
+    const data = await fetcher();
+    const fetchedAt = Date.now();
+    const entry = {
+      data,
+      fetchedAt,
+      expiresAt: fetchedAt + this.getTtl(data),
+      staleUntil: fetchedAt + this.getTtl(data) + STALE_TTL
+    };
+
+    // Only successful lookups are worth caching; a fallback caused by a
+    // carrier outage must not replace live data
+    if (data && data.success && !data.carrierUnavailable) {
+      this.remember(key, entry);
+      try {
+        await this.store.setCachedTracking(key, entry);
+      } catch (error) {
+        console.error('Error writing tracking cache:', error.message);
+      }
+      this.purgeExpired();
+    }
+
+    return entry;
+  }
+
+  // Drop rows past their stale window, at most once per interval
+  purgeExpired() {
+    if (Date.now() - this.lastPurgeAt < PURGE_INTERVAL) return;
+    this.lastPurgeAt = Date.now();
+
+    this.store.purgeExpiredTracking()
+      .catch(error => console.error('Error purging tracking cache:', error.message));
+  }
+
+  // Refresh a stale entry in the background, once per key at a time
+  revalidate(key, fetcher) {
+    if (this.revalidating.has(key)) return;
+
+    const refresh = this.fetchAndStore(key, fetcher)
+      .catch(error => console.error('Error revalidating tracking cache:', error.message))
+      .finally(() => this.revalidating.delete(key));
+
+    this.revalidating.set(key, refresh);
+  }
+
+  // Keep the most recently used entries in memory
+  remember(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+
+    if (this.memory.size > MAX_MEMORY_ENTRIES) {
+      const oldestKey = this.memory.keys().next().value;
+      this.memory.delete(oldestKey);
+    }
+  }
+
+  withCacheInfo(entry, state) {
+    return {
+      ...entry.data,
+      cache: {
+        state,
+        fetchedAt: new Date(entry.fetchedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString()
+      }
+    };
+  }
+
+  cacheKey(carrier, trackingNumber) {
+    const carrierKey = String(carrier || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return `${carrierKey}:${normalizeTrackingNumber(trackingNumber)}`;
+  }
+}
+
+module.exports = new TrackingCache(Database);
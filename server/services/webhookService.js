@@ -0,0 +1,159 @@
+const Database = require('../models/Database');
+const shopifyService = require('./shopifyService');
+const shipmentPoller = require('./shipmentPoller');
+const complianceService = require('./complianceService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Topics the app subscribes to after install; each is delivered to
+// /api/webhooks/<topic>
+const WEBHOOK_TOPICS = [
+  'fulfillments/create',
+  'fulfillments/update',
+  'orders/updated',
+  'orders/cancelled',
+  'app/uninstalled'
+];
+
+// Fulfillment statuses that mean nothing is being shipped
+const CANCELLED_FULFILLMENT_STATUSES = ['cancelled', 'error', 'failure'];
+
+// Shopify retries failed deliveries for up to 48 hours
+const DELIVERY_RETENTION_DAYS = 7;
+
+const PURGE_INTERVAL = HOUR;
+
+/**
+ * Shopify webhook processing
+ *
+ * Keeps the local shipment records current from fulfillment and order
+ * webhooks, so new shipments are watched and cancelled ones stop being
+ * polled without querying Shopify. Deliveries are deduplicated by
+ * X-Shopify-Webhook-Id; the signature is checked by the route before a
+ * webhook gets here.
+ */
+class WebhookService {
+  constructor(store) {
+    this.store = store;
+    this.lastPurgeAt = 0;
+    this.handlers = {
+      'fulfillments/create': (shop, payload) => this.handleFulfillment(shop, payload),
+      'fulfillments/update': (shop, payload) => this.handleFulfillment(shop, payload),
+      'orders/updated': (shop, payload) => this.handleOrderUpdated(shop, payload),
+      'orders/cancelled': (shop, payload) => this.handleOrderCancelled(shop, payload),
+      'app/uninstalled': shop => this.handleAppUninstalled(shop),
+      // Mandatory GDPR topics, subscribed in shopify.app.toml rather than per shop
+      'customers/data_request': (shop, payload, webhookId) => complianceService.handleDataRequest(shop, payload, webhookId),
+      'customers/redact': (shop, payload, webhookId) => complianceService.handleCustomerRedact(shop, payload, webhookId),
+      'shop/redact': (shop, payload, webhookId) => complianceService.handleShopRedact(shop, payload, webhookId)
+    };
+  }
+
+  /**
+   * @param {string} topic - Webhook topic (e.g. 'orders/updated')
+   * @returns {boolean} True when the topic has a handler
+   */
+  handles(topic) {
+    return Object.prototype.hasOwnProperty.call(this.handlers, topic);
+  }
+
+  /**
+   * Process a verified webhook once
+   * @param {Object} webhook - { topic, shop, webhookId, payload }
+   * @returns {Promise<Object>} { duplicate }
+   */
+  async process({ topic, shop, webhookId, payload }) {
+    if (!this.handles(topic)) {
+      throw new Error(`Unsupported webhook topic: ${topic}`);
+    }
+
+    if (webhookId && !(await this.store.recordWebhookDelivery(webhookId, shop, topic))) {
+      console.log(`🔁 Skipping duplicate ${topic} webhook ${webhookId} for ${shop}`);
+      return { duplicate: true };
+    }
+
+    try {
+      await this.handlers[topic](shop, payload, webhookId);
+    } catch (error) {
+      // Let Shopify's retry be processed
+      if (webhookId) {
+        await this.store.forgetWebhookDelivery(webhookId).catch(() => {});
+      }
+      throw error;
+    }
+
+    this.purgeDeliveries();
+    return { duplicate: false };
+  }
+
+  /**
+   * Subscribe a shop to every topic the app handles
+   * @param {string} shop - Shop domain
+   * @param {string} accessToken - Shop access token
+   * @returns {Promise<Array<string>>} Topics that failed to register
+   */
+  async registerWebhooks(shop, accessToken) {
+    const failed = [];
+
+    for (const topic of WEBHOOK_TOPICS) {
+      const result = await shopifyService.registerWebhook(
+        shop,
+        accessToken,
+        topic,
+        `${process.env.HOST}/api/webhooks/${topic}`
+      );
+      if (!result.success) failed.push(topic);
+    }
+
+    return failed;
+  }
+
+  async handleFulfillment(shop, fulfillment) {
+    if (CANCELLED_FULFILLMENT_STATUSES.includes(fulfillment.status)) {
+      await this.store.stopShipmentPolling(
+        shop,
+        { orderId: fulfillment.order_id, fulfillmentId: fulfillment.id },
+        'fulfillment_cancelled'
+      );
+      return;
+    }
+
+    await shipmentPoller.watchFulfillments(shop, { id: fulfillment.order_id }, [fulfillment]);
+  }
+
+  async handleOrderUpdated(shop, order) {
+    if (order.cancelled_at) {
+      await this.handleOrderCancelled(shop, order);
+      return;
+    }
+
+    // Fulfillment changes also arrive as fulfillments/* webhooks; handling
+    // them here too covers shops that installed before those subscriptions
+    for (const fulfillment of order.fulfillments || []) {
+      await this.handleFulfillment(shop, { ...fulfillment, order_id: order.id });
+    }
+  }
+
+  async handleOrderCancelled(shop, order) {
+    const { stopped } = await this.store.stopShipmentPolling(shop, { orderId: order.id }, 'order_cancelled');
+    if (stopped > 0) {
+      console.log(`🛑 Order ${order.name || order.id} cancelled; stopped polling ${stopped} shipment(s)`);
+    }
+  }
+
+  async handleAppUninstalled(shop) {
+    await this.store.markShopUninstalled(shop);
+    console.log('👋 App uninstalled from shop:', shop);
+  }
+
+  // Drop old delivery IDs at most once an hour
+  purgeDeliveries() {
+    if (Date.now() - this.lastPurgeAt < PURGE_INTERVAL) return;
+    this.lastPurgeAt = Date.now();
+
+    this.store.purgeWebhookDeliveries(DELIVERY_RETENTION_DAYS)
+      .catch(error => console.error('Error purging webhook deliveries:', error.message));
+  }
+}
+
+module.exports = new WebhookService(Database);
@@ -15,6 +15,8 @@ app.use(cors({
   ].filter(Boolean),
   credentials: true
 }));
+// Webhooks read the raw body for HMAC verification, so they go first
+app.use('/api/webhooks', require('./routes/webhooks'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -36,14 +38,15 @@ app.get('/api/health', (req, res) => {
       shopifyApiKey: process.env.SHOPIFY_API_KEY ? 'Set' : 'Not set',
       host: process.env.HOST,
       frontendUrl: process.env.FRONTEND_URL
-    }
+    },
+    carriers: trackingService.getCarrierHealth()
   });
 });
 
 // Analytics endpoint - real data from Shopify orders
 app.get('/api/analytics', async (req, res) => {
   try {
-    const { shop, accessToken } = getSessionFromRequest(req);
+    const { shop, accessToken } = await getSessionFromRequest(req, res);
     const { days = 30 } = req.query;
     
     if (!shop || !accessToken) {
@@ -51,21 +54,6 @@ app.get('/api/analytics', async (req, res) => {
       return res.status(401).json({
         success: false,
         error: 'No valid Shopify session found'
-      });
-          ],
-          financialStatuses: Object.entries(financialStatuses).map(([status, count]) => ({
-            status: status.charAt(0).toUpperCase() + status.slice(1),
-            count,
-            percentage: totalOrders > 0 ? Math.round((count / totalOrders * 100) * 100) / 100 : 0
-          })),
-          trends,
-          summary: {
-            period: `${startDate.toLocaleDateString()} - ${endDate.toLocaleDateString()}`,
-            totalOrders,
-            totalRevenue,
-            fulfillmentRate
-          }
-        }
       });
     }
     
@@ -74,13 +62,8 @@ app.get('/api/analytics', async (req, res) => {
     const startDate = new Date();
     startDate.setDate(endDate.getDate() - parseInt(days));
     
-    // Get orders for the specified period
-    const ordersResult = await shopifyService.getOrders(shop, accessToken, {
-      created_at_min: startDate.toISOString(),
-      created_at_max: endDate.toISOString(),
-      limit: 250,
-      status: 'any'
-    });
+    // Every order in the period, from the synced copy when it covers it
+    const ordersResult = await orderSyncService.getOrdersInPeriod(shop, accessToken, startDate, endDate);
     
     if (!ordersResult.success) {
       return res.status(500).json({
@@ -153,7 +136,9 @@ app.get('/api/analytics', async (req, res) => {
           totalOrders,
           totalRevenue,
           fulfillmentRate
-        }
+        },
+        dataSource: ordersResult.source,
+        complete: ordersResult.complete
       }
     });
   } catch (error) {
@@ -194,6 +179,8 @@ app.post('/api/orders/lookup', async (req, res) => {
     );
     
     if (result.success) {
+      shipmentPoller.watchFulfillments(shop, result.order, result.order.fulfillments)
+        .catch(error => console.error('❌ Error watching shipments:', error.message));
       res.json(result);
     } else {
       res.status(404).json(result);
@@ -207,6 +194,51 @@ app.post('/api/orders/lookup', async (req, res) => {
   }
 });
 
+// Order sync progress
+app.get('/api/orders/sync', async (req, res) => {
+  try {
+    const { shop, accessToken } = await getSessionFromRequest(req, res);
+    
+    if (!shop || !accessToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'No valid Shopify session found'
+      });
+    }
+    
+    res.json({ success: true, sync: await orderSyncService.getStatus(shop) });
+  } catch (error) {
+    console.error('❌ Error fetching order sync status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch order sync status'
+    });
+  }
+});
+
+// Start syncing the shop's orders (or sync them again with force: true)
+app.post('/api/orders/sync', async (req, res) => {
+  try {
+    const { shop, accessToken } = await getSessionFromRequest(req, res);
+    
+    if (!shop || !accessToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'No valid Shopify session found'
+      });
+    }
+    
+    const sync = await orderSyncService.startBackfill(shop, accessToken, { force: Boolean(req.body?.force) });
+    res.status(202).json({ success: true, sync });
+  } catch (error) {
+    console.error('❌ Error starting order sync:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start order sync'
+    });
+  }
+});
+
 // Get specific order details
 app.get('/api/orders/:orderId', async (req, res) => {
   try {
@@ -261,22 +293,30 @@ app.put('/api/settings', (req, res) => {
 // Import services
 const shopifyService = require('./services/shopifyService');
 const trackingService = require('./services/trackingService');
+const shipmentPoller = require('./services/shipmentPoller');
+const shopInstallService = require('./services/shopInstallService');
+const complianceService = require('./services/complianceService');
+const orderSyncService = require('./services/orderSyncService');
 
 // Enhanced tracking endpoint with real carrier APIs
-app.get('/api/tracking/enhanced/:carrier/:trackingNumber', async (req, res) => {
+// The carrier segment is optional; an empty or unrecognized carrier
+// (e.g. "Other") is detected from the tracking number format
+async function handleEnhancedTracking(req, res) {
   try {
     const { carrier, trackingNumber } = req.params;
+    // ?refresh=true bypasses the tracking cache (admin refresh button)
+    const bypassCache = req.query.refresh === 'true';
     
-    if (!carrier || !trackingNumber) {
+    if (!trackingNumber) {
       return res.status(400).json({
         success: false,
-        error: 'Carrier and tracking number are required'
+        error: 'Tracking number is required'
       });
     }
     
-    console.log(`🚚 Fetching enhanced tracking for ${carrier}: ${trackingNumber}`);
+    console.log(`🚚 Fetching enhanced tracking for ${carrier || 'unknown carrier'}: ${trackingNumber}`);
     
-    const trackingInfo = await trackingService.getTrackingInfo(carrier, trackingNumber);
+    const trackingInfo = await trackingService.getTrackingInfo(carrier, trackingNumber, { bypassCache });
     
     res.json({
       success: trackingInfo.success,
@@ -291,6 +331,17 @@ app.get('/api/tracking/enhanced/:carrier/:trackingNumber', async (req, res) => {
       error: 'Failed to fetch enhanced tracking information'
     });
   }
+}
+
+app.get('/api/tracking/enhanced/:carrier/:trackingNumber', handleEnhancedTracking);
+app.get('/api/tracking/enhanced/:trackingNumber', handleEnhancedTracking);
+
+// Detect carrier candidates from a tracking number
+app.get('/api/tracking/detect/:trackingNumber', (req, res) => {
+  res.json({
+    success: true,
+    candidates: trackingService.detectCarrier(req.params.trackingNumber)
+  });
 });
 
 // Get supported carriers endpoint
@@ -375,13 +426,14 @@ app.get('/api/orders', async (req, res) => {
     
     const options = {
       limit: parseInt(req.query.limit) || 50,
-      status: req.query.status || 'any'
+      status: req.query.status || 'any',
+      after: req.query.cursor
     };
     
     const result = await shopifyService.getOrders(shop, accessToken, options);
     
     if (result.success) {
-      res.json({ orders: result.orders });
+      res.json({ orders: result.orders, pageInfo: result.pageInfo });
     } else {
       console.error('❌ Failed to fetch orders:', result.error);
       res.json({ orders: [] });
@@ -423,10 +475,12 @@ app.get('/api/tracking/:orderNumber', async (req, res) => {
     
     // Get fulfillments for tracking information
     const fulfillments = await shopifyService.getOrderFulfillments(shop, accessToken, order.id);
+    shipmentPoller.watchFulfillments(shop, order, fulfillments)
+      .catch(error => console.error('❌ Error watching shipments:', error.message));
     
     // Enhanced tracking with real carrier data
     let enhancedTracking = null;
-    if (fulfillments.length > 0 && fulfillments[0].tracking_number && fulfillments[0].tracking_company) {
+    if (fulfillments.length > 0 && fulfillments[0].tracking_number) {
       try {
         enhancedTracking = await trackingService.getTrackingInfo(
           fulfillments[0].tracking_company,
@@ -467,30 +521,20 @@ app.get('/api/tracking/:orderNumber', async (req, res) => {
 
 // Shopify OAuth routes
 app.get('/auth', (req, res) => {
-  const { shop, hmac, code, state, timestamp } = req.query;
+  const { shop } = req.query;
   
-  if (!shop) {
-    return res.status(400).send('Missing shop parameter');
+  if (!shopInstallService.isValidShopDomain(shop)) {
+    return res.status(400).send('Missing or invalid shop parameter');
   }
 
-  // Build OAuth URL
-  const shopifyApiKey = process.env.SHOPIFY_API_KEY;
-  const scopes = process.env.SCOPES || 'read_orders,write_orders';
-  const redirectUri = `${process.env.HOST}/auth/callback`;
-  const nonce = Math.random().toString(36).substring(7);
-  
-  const authUrl = `https://${shop}/admin/oauth/authorize?` +
-    `client_id=${shopifyApiKey}&` +
-    `scope=${scopes}&` +
-    `redirect_uri=${redirectUri}&` +
-    `state=${nonce}`;
+  const authUrl = shopInstallService.getAuthUrl(shop);
 
-  console.log('🔐 Redirecting to Shopify OAuth:', authUrl);
+  console.log('🔐 Redirecting to Shopify OAuth for shop:', shop);
   res.redirect(authUrl);
 });
 
 app.get('/auth/callback', async (req, res) => {
-  const { code, hmac, shop, state, timestamp } = req.query;
+  const { code, shop, host } = req.query;
   
   console.log('🔄 OAuth callback received:', { shop, code: code ? 'present' : 'missing' });
   
@@ -498,52 +542,29 @@ app.get('/auth/callback', async (req, res) => {
     return res.status(400).send('Missing required parameters');
   }
 
-  try {
-    // Exchange code for access token
-    const tokenResponse = await fetch(`https://${shop}/admin/oauth/access_token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        client_id: process.env.SHOPIFY_API_KEY,
-        client_secret: process.env.SHOPIFY_API_SECRET,
-        code: code
-      })
-    });
+  if (!shopInstallService.verifyCallback(req.query)) {
+    console.log('❌ OAuth callback failed hmac/state verification for shop:', shop);
+    return res.status(403).send('OAuth callback could not be verified');
+  }
 
-    const tokenData = await tokenResponse.json();
+  try {
+    const { accessToken, scopes } = await shopInstallService.exchangeCode(shop, code);
     console.log('✅ Access token obtained for shop:', shop);
-    
-    // Store access token in database and create session
-    try {
-      const Database = require('./models/Database');
-      await Database.init();
-      await Database.storeShopData(shop, tokenData.access_token, {
-        name: shop,
-        email: null
-      });
-      
-      // Create session for the authenticated shop
-      req.session.shopify = {
-        session: {
-          shop: shop,
-          accessToken: tokenData.access_token,
-          scope: tokenData.scope
-        }
-      };
-      
-      console.log('✅ Access token stored and session created for shop:', shop);
-    } catch (dbError) {
-      console.error('❌ Error storing access token:', dbError);
+
+    const { missingScopes } = await shopInstallService.completeInstall(shop, accessToken, scopes);
+    if (missingScopes.length > 0) {
+      console.log('⚠️ Shop granted fewer scopes than requested:', missingScopes.join(', '));
     }
+
+    console.log('✅ Shop session stored for shop:', shop);
     
     // Redirect to frontend with success
     const frontendUrl = process.env.FRONTEND_URL || 'https://tracking-app-frontend.loca.lt';
-    res.redirect(`${frontendUrl}?shop=${shop}&installed=true`);
+    const params = new URLSearchParams({ shop, installed: 'true', ...(host && { host }) });
+    res.redirect(`${frontendUrl}?${params}`);
     
   } catch (error) {
-    console.error('❌ OAuth error:', error);
+    console.error('❌ OAuth error:', error.message);
     res.status(500).send('OAuth authentication failed');
   }
 });
@@ -558,13 +579,44 @@ app.get('/api/auth/callback', (req, res) => {
   res.redirect(`/auth/callback?${new URLSearchParams(req.query).toString()}`);
 });
 
+// Install state of a shop; reauthUrl is set when the app has to be
+// (re)authorized, e.g. after SCOPES changed
+app.get('/api/shop/status', async (req, res) => {
+  const shop = req.query.shop || req.headers['x-shopify-shop-domain'];
+
+  if (!shopInstallService.isValidShopDomain(shop)) {
+    return res.status(400).json({ success: false, error: 'Missing or invalid shop parameter' });
+  }
+
+  try {
+    const status = await shopInstallService.getStatus(shop);
+    res.json({
+      success: true,
+      shop,
+      ...status,
+      reauthUrl: status.reauthRequired ? `${process.env.HOST}/auth?shop=${encodeURIComponent(shop)}` : null
+    });
+  } catch (error) {
+    console.error('❌ Error fetching shop status:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch shop status' });
+  }
+});
+
 // Root route for app installation
-app.get('/', (req, res) => {
-  const { shop } = req.query;
+app.get('/', async (req, res) => {
+  const { shop, host } = req.query;
   
-  if (shop) {
-    // Redirect to OAuth if shop parameter is present
-    return res.redirect(`/auth?shop=${shop}`);
+  if (shopInstallService.isValidShopDomain(shop)) {
+    // Open the app directly for installed shops with every required scope;
+    // otherwise (re)authorize
+    const status = await shopInstallService.getStatus(shop).catch(() => ({ reauthRequired: true }));
+    if (status.reauthRequired) {
+      return res.redirect(`/auth?shop=${encodeURIComponent(shop)}`);
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'https://tracking-app-frontend.loca.lt';
+    const params = new URLSearchParams({ shop, ...(host && { host }) });
+    return res.redirect(`${frontendUrl}?${params}`);
   }
   
   // Default response
@@ -579,15 +631,7 @@ app.get('/', (req, res) => {
   });
 });
 
-// Webhook endpoints
-app.post('/api/webhooks/orders/create', (req, res) => {
-  console.log('📦 New order webhook received:', req.body);
-  res.status(200).send('OK');
-});
-app.post('/api/webhooks/orders/updated', (req, res) => {
-  console.log('📝 Order update webhook received:', req.body);
-  res.status(200).send('OK');
-});
+// Webhook endpoints are handled by the routes/webhooks.js file
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -621,4 +665,8 @@ app.listen(PORT, () => {
   console.log(`🔗 Health check: ${process.env.HOST}/api/health`);
   console.log(`🔗 OAuth: ${process.env.HOST}/auth?shop=yourstore.myshopify.com`);
   console.log(`\n🛍️  Ready for Shopify integration!`);
+
+  shipmentPoller.start();
+  complianceService.start();
+  orderSyncService.start();
 });
\ No newline at end of file
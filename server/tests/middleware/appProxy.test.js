@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+process.env.SHOPIFY_API_KEY = 'test-key';
+process.env.SHOPIFY_API_SECRET = 'test-secret';
+
+const { verifyAppProxy } = require('../../middleware/appProxy');
+
+const SHOP = 'example.myshopify.com';
+
+// Query string as the app proxy sends it, signed with the app secret
+function signedQuery(params) {
+  const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('');
+  const signature = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(message).digest('hex');
+  return { ...params, signature };
+}
+
+function proxyParams(overrides = {}) {
+  return {
+    shop: SHOP,
+    path_prefix: '/apps/smart-order-tracking',
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    ...overrides
+  };
+}
+
+function createApp() {
+  const app = express();
+  app.get('/api/tracking/settings/:shopDomain', verifyAppProxy, (req, res) => {
+    res.json({ success: true, shop: req.shopDomain });
+  });
+  return app;
+}
+
+describe('app proxy verification', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const get = query => request(createApp()).get(`/api/tracking/settings/${SHOP}`).query(query);
+
+  it('accepts a freshly signed request', async () => {
+    const response = await get(signedQuery(proxyParams()));
+
+    expect(response.status).toBe(200);
+    expect(response.body.shop).toBe(SHOP);
+  });
+
+  it('accepts an uppercase hex signature', async () => {
+    const query = signedQuery(proxyParams());
+    const response = await get({ ...query, signature: query.signature.toUpperCase() });
+
+    expect(response.status).toBe(200);
+  });
+
+  it.each([
+    ['more than five minutes old', -301],
+    ['more than five minutes ahead', 301]
+  ])('rejects a signed timestamp %s', async (_, offsetSeconds) => {
+    const timestamp = String(Math.floor(Date.now() / 1000) + offsetSeconds);
+    const response = await get(signedQuery(proxyParams({ timestamp })));
+
+    expect(response.status).toBe(401);
+  });
+
+  it('rejects a request without a signed timestamp', async () => {
+    const { timestamp, ...params } = proxyParams();
+    const response = await get(signedQuery(params));
+
+    expect(response.status).toBe(401);
+  });
+
+  it.each([
+    ['trailing characters', signature => `${signature}zz`],
+    ['a truncated signature', signature => signature.slice(0, 62)],
+    ['a changed character', signature => `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`]
+  ])('rejects a signature with %s', async (_, tamper) => {
+    const query = signedQuery(proxyParams());
+    const response = await get({ ...query, signature: tamper(query.signature) });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('rejects a signed request for another shop', async () => {
+    const response = await get(signedQuery(proxyParams({ shop: 'other.myshopify.com' })));
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Storage test suite, run against both backends: SQLite on a temporary file
+ * and PostgreSQL (see tests/setup/postgres.js), so the drivers' SQL
+ * translation and every query are exercised on both.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+const Migrator = require('../../models/Migrator');
+
+const SHOP = 'example.myshopify.com';
+const OTHER_SHOP = 'other.myshopify.com';
+
+const backends = [
+  ['sqlite', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'database-test-'));
+    return {
+      databaseUrl: `sqlite:${path.join(directory, 'test.sqlite')}`,
+      cleanup: () => fs.rmSync(directory, { recursive: true, force: true })
+    };
+  }],
+  ['postgres', async () => {
+    const databaseUrl = process.env.TEST_POSTGRES_URL;
+    const client = new Client({ connectionString: databaseUrl });
+    await client.connect();
+    await client.query('DROP SCHEMA IF EXISTS public CASCADE; CREATE SCHEMA public');
+    await client.end();
+
+    return { databaseUrl, cleanup: () => {} };
+  }]
+];
+
+// A fresh Database singleton bound to the given backend
+function loadDatabase({ databaseUrl }) {
+  let database;
+  jest.isolateModules(() => {
+    process.env.DATABASE_URL = databaseUrl;
+    database = require('../../models/Database');
+  });
+  delete process.env.DATABASE_URL;
+  return database;
+}
+
+describe.each(backends)('Database on %s', (dialect, createBackend) => {
+  let backend;
+  let database;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    backend = await createBackend();
+    database = loadDatabase(backend);
+    await database.ready;
+  });
+
+  afterEach(async () => {
+    await database.close();
+    backend.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  it('uses the expected driver', () => {
+    expect(database.storage.dialect).toBe(dialect);
+  });
+
+  describe('migrations', () => {
+    it('applies every migration on startup', async () => {
+      const migrator = new Migrator(database.storage);
+      const versions = migrator.loadMigrations().map(migration => migration.version);
+
+      const status = await migrator.status();
+      expect(status.map(row => row.version)).toEqual(versions);
+      expect(status.every(row => row.appliedAt)).toBe(true);
+      expect(await migrator.migrate()).toEqual([]);
+    });
+
+    it('rolls back and reapplies the latest migration', async () => {
+      const migrator = new Migrator(database.storage);
+      const latest = migrator.loadMigrations().pop();
+
+      const [rolledBack] = await migrator.rollback();
+      expect(rolledBack.version).toBe(latest.version);
+      expect((await migrator.status()).pop().appliedAt).toBeNull();
+
+      const reapplied = await migrator.migrate();
+      expect(reapplied.map(migration => migration.version)).toEqual([latest.version]);
+    });
+  });
+
+  describe('upserts', () => {
+    it('creates and then updates merchant settings', async () => {
+      await database.updateSettings(SHOP, { pageTitle: 'Where is my order?', orderTags: ['delivered'] });
+      await database.updateSettings(SHOP, { pageTitle: 'Track it', trackingPageEnabled: true, orderTags: ['exception'] });
+
+      const settings = await database.getSettings(SHOP);
+      expect(settings.pageTitle).toBe('Track it');
+      expect(settings.trackingPageEnabled).toBe(true);
+      expect(settings.orderTags).toEqual(['exception']);
+      expect(await database.storage.all('SELECT id FROM merchant_settings')).toHaveLength(1);
+    });
+
+    it('keeps one row per order when syncing it again', async () => {
+      const order = {
+        id: 1001,
+        name: '#1001',
+        order_number: 1001,
+        financial_status: 'paid',
+        fulfillment_status: null,
+        total_price: '25.00',
+        currency: 'USD',
+        created_at: '2024-03-01T10:00:00.000Z'
+      };
+
+      await database.upsertOrders(SHOP, [order]);
+      await database.upsertOrders(SHOP, [{ ...order, fulfillment_status: 'fulfilled' }]);
+
+      const orders = await database.getSyncedOrders(SHOP, '2024-01-01T00:00:00.000Z');
+      expect(orders).toHaveLength(1);
+      expect(orders[0]).toMatchObject({ id: '1001', fulfillment_status: 'fulfilled', currency: 'USD' });
+      expect(Number(orders[0].total_price)).toBe(25);
+    });
+
+    it('merges shipment details and skips tracking events already stored', async () => {
+      await database.upsertShipment({ shopDomain: SHOP, orderId: 1, trackingNumber: '1Z999AA10123456784' });
+      await database.upsertShipment({ shopDomain: SHOP, carrier: 'UPS', trackingNumber: '1Z999AA10123456784' });
+
+      const shipment = await database.getShipment(SHOP, '1Z999AA10123456784');
+      expect(shipment).toMatchObject({ order_id: '1', carrier: 'UPS' });
+
+      const event = { timestamp: '2024-03-02T10:00:00Z', status: 'in_transit', description: 'Departed facility' };
+      expect(await database.appendTrackingEvents(shipment.id, [event])).toEqual({ added: 1 });
+      expect(await database.appendTrackingEvents(shipment.id, [event])).toEqual({ added: 0 });
+      expect(await database.getShipmentTimeline(shipment.id)).toHaveLength(1);
+    });
+  });
+
+  describe('locks', () => {
+    it('lets one owner hold a lock until it is released or expires', async () => {
+      expect(await database.acquireLock('shipment-poller', 'a', 60000)).toBe(true);
+      expect(await database.acquireLock('shipment-poller', 'b', 60000)).toBe(false);
+      expect(await database.acquireLock('shipment-poller', 'a', 60000)).toBe(true);
+
+      expect(await database.releaseLock('shipment-poller', 'b')).toBe(false);
+      expect(await database.releaseLock('shipment-poller', 'a')).toBe(true);
+      expect(await database.acquireLock('shipment-poller', 'b', -1)).toBe(true);
+
+      // b's lock has already expired
+      expect(await database.acquireLock('shipment-poller', 'a', 60000)).toBe(true);
+    });
+
+    it('claims a fulfillment event once until it is released', async () => {
+      expect(await database.claimFulfillmentEvent(SHOP, 55, 'in_transit')).toBe(true);
+      expect(await database.claimFulfillmentEvent(SHOP, 55, 'in_transit')).toBe(false);
+
+      await database.releaseFulfillmentEvent(SHOP, 55, 'in_transit');
+      expect(await database.claimFulfillmentEvent(SHOP, 55, 'in_transit')).toBe(true);
+    });
+  });
+
+  describe('transactions', () => {
+    it('commits work that succeeds', async () => {
+      await database.storage.transaction(async tx => {
+        await tx.run('INSERT INTO scheduler_locks (name, owner, expires_at) VALUES (?, ?, ?)', ['a', 'x', '2030-01-01T00:00:00.000Z']);
+        await tx.run('INSERT INTO scheduler_locks (name, owner, expires_at) VALUES (?, ?, ?)', ['b', 'x', '2030-01-01T00:00:00.000Z']);
+      });
+
+      expect(await database.storage.all('SELECT name FROM scheduler_locks ORDER BY name')).toEqual([{ name: 'a' }, { name: 'b' }]);
+    });
+
+    it('rolls back work that fails', async () => {
+      await expect(database.storage.transaction(async tx => {
+        await tx.run('INSERT INTO scheduler_locks (name, owner, expires_at) VALUES (?, ?, ?)', ['a', 'x', '2030-01-01T00:00:00.000Z']);
+        throw new Error('failed');
+      })).rejects.toThrow('failed');
+
+      expect(await database.storage.all('SELECT name FROM scheduler_locks')).toEqual([]);
+    });
+
+    it('keeps concurrent queries out of a transaction that rolls back', async () => {
+      let resume;
+      const paused = new Promise(resolve => { resume = resolve; });
+
+      const failing = database.storage.transaction(async tx => {
+        await tx.run('INSERT INTO scheduler_locks (name, owner, expires_at) VALUES (?, ?, ?)', ['inside', 'x', '2030-01-01T00:00:00.000Z']);
+        await paused;
+        throw new Error('failed');
+      });
+      const outside = database.acquireLock('outside', 'y', 60000);
+      resume();
+
+      await expect(failing).rejects.toThrow('failed');
+      expect(await outside).toBe(true);
+      expect(await database.storage.all('SELECT name FROM scheduler_locks')).toEqual([{ name: 'outside' }]);
+    });
+  });
+
+  describe('purge', () => {
+    async function seedShop(shop) {
+      await database.storeShopData(shop, 'shpat_token', { name: shop });
+      await database.updateSettings(shop, { pageTitle: shop });
+      await database.recordView(shop, '1001', 'jest', '127.0.0.1', { orderId: 1 });
+      await database.upsertOrders(shop, [{ id: 1, name: '#1001', created_at: '2024-03-01T10:00:00.000Z' }]);
+      await database.upsertShipment({ shopDomain: shop, orderId: 1, trackingNumber: `TRK-${shop}` });
+      const shipment = await database.getShipment(shop, `TRK-${shop}`);
+      await database.appendTrackingEvents(shipment.id, [{ timestamp: '2024-03-02T10:00:00Z', status: 'in_transit' }]);
+      await database.saveOrderDeliveryState(shop, 1, { tag: 'tracking:in_transit' });
+      await database.recordComplianceAction({ shopDomain: shop, action: 'customers/data_request', exportData: { orders: [1] } });
+    }
+
+    it('deletes everything stored for one shop and nothing else', async () => {
+      await seedShop(SHOP);
+      await seedShop(OTHER_SHOP);
+
+      const counts = await database.purgeShopData(SHOP);
+      expect(counts).toMatchObject({ shipments: 1, trackingEvents: 1, trackingViews: 1, settings: 1, orders: 1, shopData: 1 });
+
+      expect(await database.getShopData(SHOP)).toBeNull();
+      expect(await database.getSettings(SHOP)).toBeNull();
+      expect(await database.getShipment(SHOP, `TRK-${SHOP}`)).toBeNull();
+      expect(await database.getOrderDeliveryState(SHOP, 1)).toBeNull();
+
+      // The audit log is kept, without the exported data
+      const [entry] = await database.getComplianceLog(SHOP);
+      expect(await database.getComplianceExport(SHOP, entry.id)).toBeNull();
+
+      expect(await database.getShopData(OTHER_SHOP)).toMatchObject({ shop_domain: OTHER_SHOP });
+      expect(await database.getShipment(OTHER_SHOP, `TRK-${OTHER_SHOP}`)).not.toBeNull();
+      expect(await database.getOrderDeliveryState(OTHER_SHOP, 1)).toEqual({ tag: 'tracking:in_transit' });
+    });
+  });
+});
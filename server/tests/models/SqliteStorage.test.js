@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteStorage = require('../../models/storage/SqliteStorage');
+
+describe('SqliteStorage transactions', () => {
+  let directory;
+  let storage;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-storage-'));
+    storage = new SqliteStorage(path.join(directory, 'test.sqlite'));
+    await storage.open();
+    await storage.exec('CREATE TABLE items (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const names = async () => (await storage.all('SELECT name FROM items ORDER BY id')).map(row => row.name);
+
+  it('keeps queries issued during a transaction out of it', async () => {
+    let resume;
+    const paused = new Promise(resolve => { resume = resolve; });
+
+    const failing = storage.transaction(async tx => {
+      await tx.run('INSERT INTO items (name) VALUES (?)', ['inside']);
+      await paused;
+      throw new Error('rolled back');
+    });
+
+    // Issued while the transaction is waiting; must survive its rollback
+    const outside = storage.run('INSERT INTO items (name) VALUES (?)', ['outside']);
+    resume();
+
+    await expect(failing).rejects.toThrow('rolled back');
+    await outside;
+    expect(await names()).toEqual(['outside']);
+  });
+
+  it('runs overlapping transactions one after the other', async () => {
+    const insert = name => storage.transaction(async tx => {
+      await tx.run('INSERT INTO items (name) VALUES (?)', [`${name}-1`]);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await tx.run('INSERT INTO items (name) VALUES (?)', [`${name}-2`]);
+      return name;
+    });
+
+    await expect(Promise.all([insert('a'), insert('b')])).resolves.toEqual(['a', 'b']);
+    expect(await names()).toEqual(['a-1', 'a-2', 'b-1', 'b-2']);
+  });
+
+  it('keeps working after a failed query', async () => {
+    await expect(storage.run('INSERT INTO missing (name) VALUES (?)', ['x'])).rejects.toThrow();
+    await storage.run('INSERT INTO items (name) VALUES (?)', ['after']);
+
+    expect(await names()).toEqual(['after']);
+  });
+});
@@ -0,0 +1,89 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../services/shopifyService', () => ({}));
+jest.mock('../../services/orderSyncService', () => ({
+  getStatus: jest.fn(async () => ({ status: 'idle', progress: 0 })),
+  startBackfill: jest.fn(async () => ({ status: 'running', progress: 0 }))
+}));
+
+const orderSyncService = require('../../services/orderSyncService');
+const ordersRouter = require('../../routes/orders');
+
+// The app as index.js mounts it: App Bridge requests only carry the session
+// that the Shopify middleware put on res.locals
+function createApp(session) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (session) res.locals.shopify = { session };
+    next();
+  });
+  app.use('/api/orders', ordersRouter);
+  return app;
+}
+
+describe('order sync routes', () => {
+  const session = { shop: 'example.myshopify.com', accessToken: 'shpat_session' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reports sync status for the shop of the App Bridge session', async () => {
+    const response = await request(createApp(session)).get('/api/orders/sync');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ success: true, sync: { status: 'idle', progress: 0 } });
+    expect(orderSyncService.getStatus).toHaveBeenCalledWith('example.myshopify.com');
+  });
+
+  it('starts a sync with the session token', async () => {
+    const response = await request(createApp(session))
+      .post('/api/orders/sync')
+      .send({ force: true });
+
+    expect(response.status).toBe(202);
+    expect(orderSyncService.startBackfill).toHaveBeenCalledWith(
+      'example.myshopify.com',
+      'shpat_session',
+      { force: true }
+    );
+  });
+
+  describe('without a session in production', () => {
+    const nodeEnv = process.env.NODE_ENV;
+
+    beforeEach(() => {
+      process.env.NODE_ENV = 'production';
+    });
+
+    afterEach(() => {
+      process.env.NODE_ENV = nodeEnv;
+    });
+
+    it('does not report sync status', async () => {
+      const response = await request(createApp()).get('/api/orders/sync');
+
+      expect(response.status).toBe(401);
+      expect(orderSyncService.getStatus).not.toHaveBeenCalled();
+    });
+
+    it('does not start a sync', async () => {
+      const response = await request(createApp()).post('/api/orders/sync').send({});
+
+      expect(response.status).toBe(401);
+      expect(response.body.success).toBe(false);
+      expect(orderSyncService.startBackfill).not.toHaveBeenCalled();
+    });
+  });
+
+  it('prefers explicit shop headers over the session', async () => {
+    await request(createApp(session))
+      .get('/api/orders/sync')
+      .set('X-Shopify-Shop-Domain', 'other.myshopify.com')
+      .set('X-Shopify-Access-Token', 'shpat_header');
+
+    expect(orderSyncService.getStatus).toHaveBeenCalledWith('other.myshopify.com');
+  });
+});
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+process.env.SHOPIFY_API_KEY = 'test-key';
+process.env.SHOPIFY_API_SECRET = 'test-secret';
+
+jest.mock('../../services/webhookService', () => ({
+  handles: jest.fn(() => true),
+  process: jest.fn(async () => {})
+}));
+
+const webhookService = require('../../services/webhookService');
+const shopifyService = require('../../services/shopifyService');
+const webhooksRouter = require('../../routes/webhooks');
+
+const SHOP = 'example.myshopify.com';
+
+function createApp() {
+  const app = express();
+  app.use('/api/webhooks', webhooksRouter);
+  return app;
+}
+
+const sign = body => crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(body).digest('base64');
+
+describe('webhook routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('processes a signed webhook', async () => {
+    const body = JSON.stringify({ id: 1001 });
+
+    const response = await request(createApp())
+      .post('/api/webhooks/orders/updated')
+      .set('Content-Type', 'application/json')
+      .set('X-Shopify-Shop-Domain', SHOP)
+      .set('X-Shopify-Webhook-Id', 'webhook-1')
+      .set('X-Shopify-Hmac-Sha256', sign(body))
+      .send(body);
+
+    expect(response.status).toBe(200);
+    expect(webhookService.process).toHaveBeenCalledWith({
+      topic: 'orders/updated',
+      shop: SHOP,
+      webhookId: 'webhook-1',
+      payload: { id: 1001 }
+    });
+  });
+
+  it('rejects a webhook with an invalid signature', async () => {
+    const response = await request(createApp())
+      .post('/api/webhooks/orders/updated')
+      .set('Content-Type', 'application/json')
+      .set('X-Shopify-Hmac-Sha256', sign('{}'))
+      .send(JSON.stringify({ id: 1001 }));
+
+    expect(response.status).toBe(401);
+    expect(webhookService.process).not.toHaveBeenCalled();
+  });
+
+  it('rejects a webhook without a body', async () => {
+    const response = await request(createApp())
+      .post('/api/webhooks/orders/updated')
+      .set('X-Shopify-Hmac-Sha256', sign(''));
+
+    expect(response.status).toBe(401);
+    expect(webhookService.process).not.toHaveBeenCalled();
+  });
+});
+
+describe('webhook signature validation', () => {
+  it.each([
+    ['a parsed body', {}],
+    ['an empty body', Buffer.alloc(0)],
+    ['no body', undefined]
+  ])('returns false for %s', (_, body) => {
+    expect(shopifyService.validateWebhook(body, sign('{}'))).toBe(false);
+  });
+});
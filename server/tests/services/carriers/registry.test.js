@@ -0,0 +1,39 @@
+const carrierRegistry = require('../../../services/carriers');
+const { resolveCarrier } = require('../../../services/carriers/detection');
+
+const codes = name => carrierRegistry.match(name).map(adapter => adapter.code);
+
+describe('carrier name matching', () => {
+  it.each([
+    ['usps', 'usps'],
+    ['usp', 'usps'],
+    ['USPS Priority Mail', 'usps'],
+    ['US Postal Service', 'usps'],
+    ['auspost', 'australia_post'],
+    ['Australia Post eParcel', 'australia_post'],
+    ['UPS Ground', 'ups'],
+    ['Fed-Ex', 'fedex'],
+    ['Fed Ex Home Delivery', 'fedex'],
+    ['DHL Express Worldwide', 'dhl'],
+    ['royal', 'royal_mail']
+  ])('resolves %s to %s', (name, code) => {
+    expect(codes(name)).toEqual([code]);
+  });
+
+  it('does not match aliases inside a word', () => {
+    expect(codes('upsilon')).toEqual([]);
+    expect(codes('Hermes')).toEqual([]);
+  });
+
+  it('returns every carrier an ambiguous name could mean', () => {
+    expect(codes('united').sort()).toEqual(['ups', 'usps']);
+    expect(carrierRegistry.resolve('united')).toBeNull();
+  });
+
+  it('picks USPS for "usp" ahead of the tracking number format', () => {
+    const { adapter, detected } = resolveCarrier('usp', '1Z999AA10123456784');
+
+    expect(adapter.code).toBe('usps');
+    expect(detected).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { parseTrackResponse } = require('../../../services/carriers/parsers/usps');
+const { STATUS, buildTimeline } = require('../../../services/shipmentEvents');
+
+// TrackV2 / TrackFieldRequest responses in the USPS Web Tools format, with placeholder tracking numbers
+const fixture = name => fs.readFileSync(path.join(__dirname, '../../fixtures/usps', name), 'utf8');
+
+describe('USPS track parser', () => {
+  it('parses a delivered TrackFieldRequest response', () => {
+    const [result] = parseTrackResponse(fixture('track-field-delivered.xml'));
+
+    expect(result).toMatchObject({
+      trackingNumber: '9400100000000000000000',
+      status: STATUS.DELIVERED,
+      carrierStatus: 'Delivered, In/At Mailbox',
+      estimatedDelivery: '2024-03-05',
+      error: null
+    });
+    expect(result.events).toHaveLength(5);
+    expect(result.events[0]).toEqual({
+      timestamp: '2024-03-05T13:42:00-05:00',
+      location: { city: 'BROOKLYN', state: 'NY', postalCode: '11201', country: null },
+      status: STATUS.DELIVERED,
+      carrierStatusCode: '01',
+      description: 'Delivered, In/At Mailbox'
+    });
+    expect(result.events.map(event => event.status)).toEqual([
+      STATUS.DELIVERED,
+      STATUS.OUT_FOR_DELIVERY,
+      STATUS.IN_TRANSIT,
+      STATUS.PICKED_UP,
+      STATUS.LABEL_CREATED
+    ]);
+  });
+
+  it('keeps each event in its own timezone', () => {
+    const [result] = parseTrackResponse(fixture('track-field-delivered.xml'));
+
+    expect(result.events.map(event => event.timestamp)).toEqual([
+      '2024-03-05T13:42:00-05:00',
+      '2024-03-05T07:10:00-05:00',
+      '2024-03-03T23:58:00-05:00',
+      '2024-03-01T16:31:00-06:00',
+      '2024-02-29T00:00:00'
+    ]);
+  });
+
+  it('keeps local time without a zone when USPS sends no GMTOffset', () => {
+    const [result] = parseTrackResponse(fixture('track-field-no-offset.xml'));
+
+    expect(result.status).toBe(STATUS.IN_TRANSIT);
+    expect(result.events.map(event => event.timestamp)).toEqual([
+      '2024-03-04T21:27:00',
+      '2024-03-01T16:31:00-06:00'
+    ]);
+  });
+
+  it('returns per-number errors alongside other results', () => {
+    const [inTransit, missing] = parseTrackResponse(fixture('track-field-batch.xml'));
+
+    expect(inTransit).toMatchObject({
+      trackingNumber: '9400100000000000000001',
+      status: STATUS.IN_TRANSIT,
+      estimatedDelivery: '2024-03-08',
+      error: null
+    });
+    expect(inTransit.events[0].location).toBeNull();
+
+    expect(missing).toMatchObject({
+      trackingNumber: '9400100000000000000002',
+      status: STATUS.UNKNOWN,
+      events: [],
+      error: { code: '-2147219302' }
+    });
+  });
+
+  it('keeps plain TrackV2 events without timestamps', () => {
+    const [result] = parseTrackResponse(fixture('track-v2-summary.xml'));
+
+    expect(result.status).toBe(STATUS.DELIVERED);
+    expect(result.events.map(event => [event.timestamp, event.status])).toEqual([
+      [null, STATUS.DELIVERED],
+      [null, STATUS.OUT_FOR_DELIVERY],
+      [null, STATUS.IN_TRANSIT],
+      [null, STATUS.PICKED_UP]
+    ]);
+  });
+
+  it('throws on a response-level error', () => {
+    expect(() => parseTrackResponse(fixture('error.xml'))).toThrow('USPS API error 80040B1A');
+  });
+});
+
+describe('buildTimeline with USPS events', () => {
+  it('orders TrackFieldRequest events across timezones', () => {
+    const [result] = parseTrackResponse(fixture('track-field-delivered.xml'));
+    const timeline = buildTimeline([...result.events].reverse());
+
+    expect(timeline.status).toBe(STATUS.DELIVERED);
+    expect(timeline.events.map(event => event.carrierStatusCode)).toEqual(['01', 'OF', 'T1', '03', 'GX']);
+  });
+
+  it('keeps undated TrackV2 events in carrier order', () => {
+    const [result] = parseTrackResponse(fixture('track-v2-summary.xml'));
+    const timeline = buildTimeline(result.events);
+
+    expect(timeline.status).toBe(STATUS.DELIVERED);
+    expect(timeline.events).toEqual(result.events);
+  });
+
+  it('places undated events before dated ones', () => {
+    const [dated] = parseTrackResponse(fixture('track-field-batch.xml'));
+    const [undated] = parseTrackResponse(fixture('track-v2-summary.xml'));
+    const accepted = undated.events[3];
+
+    const timeline = buildTimeline([accepted, ...dated.events]);
+
+    expect(timeline.status).toBe(STATUS.IN_TRANSIT);
+    expect(timeline.events).toEqual([dated.events[0], accepted]);
+  });
+});
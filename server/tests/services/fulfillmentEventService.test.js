@@ -0,0 +1,96 @@
+jest.mock('../../models/Database', () => ({
+  getSettings: jest.fn(),
+  getShopData: jest.fn(),
+  claimFulfillmentEvent: jest.fn(),
+  releaseFulfillmentEvent: jest.fn(),
+  completeFulfillmentEvent: jest.fn()
+}));
+jest.mock('../../services/shopifyService', () => ({
+  createFulfillmentEvent: jest.fn()
+}));
+
+const Database = require('../../models/Database');
+const shopifyService = require('../../services/shopifyService');
+const fulfillmentEventService = require('../../services/fulfillmentEventService');
+
+const SHOP = 'example.myshopify.com';
+
+const shipment = {
+  id: 7,
+  shop_domain: SHOP,
+  fulfillment_id: '55',
+  tracking_number: '1Z999AA10123456784'
+};
+
+const event = {
+  timestamp: '2024-03-05T13:42:00-05:00',
+  description: 'Delivered',
+  location: { city: 'BROOKLYN', state: 'NY', postalCode: '11201', country: 'US' }
+};
+
+describe('fulfillment event publishing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    Database.getSettings.mockResolvedValue({ fulfillmentEventsEnabled: true });
+    Database.getShopData.mockResolvedValue({ access_token: 'shpat_token', is_active: true });
+    Database.claimFulfillmentEvent.mockResolvedValue(true);
+    Database.releaseFulfillmentEvent.mockResolvedValue();
+    Database.completeFulfillmentEvent.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates the event and completes the claim', async () => {
+    shopifyService.createFulfillmentEvent.mockResolvedValue({ success: true, eventId: 900 });
+
+    await expect(fulfillmentEventService.publish(shipment, 'delivered', { event })).resolves.toEqual({ created: true });
+
+    expect(shopifyService.createFulfillmentEvent).toHaveBeenCalledWith(SHOP, 'shpat_token', '55', expect.objectContaining({
+      status: 'DELIVERED',
+      happenedAt: '2024-03-05T18:42:00.000Z',
+      city: 'BROOKLYN'
+    }));
+    expect(Database.completeFulfillmentEvent).toHaveBeenCalledWith(SHOP, '55', 'DELIVERED', '900');
+    expect(Database.releaseFulfillmentEvent).not.toHaveBeenCalled();
+  });
+
+  it('releases the claim when Shopify rejects the event', async () => {
+    shopifyService.createFulfillmentEvent.mockResolvedValue({ success: false });
+
+    await expect(fulfillmentEventService.publish(shipment, 'delivered', { event })).resolves.toEqual({ skipped: 'failed' });
+
+    expect(Database.releaseFulfillmentEvent).toHaveBeenCalledWith(SHOP, '55', 'DELIVERED');
+  });
+
+  it('releases the claim when creating the event throws', async () => {
+    shopifyService.createFulfillmentEvent.mockRejectedValue(new Error('socket hang up'));
+
+    await expect(fulfillmentEventService.publish(shipment, 'delivered', { event })).resolves.toEqual({ skipped: 'failed' });
+
+    expect(Database.releaseFulfillmentEvent).toHaveBeenCalledWith(SHOP, '55', 'DELIVERED');
+    expect(Database.completeFulfillmentEvent).not.toHaveBeenCalled();
+  });
+
+  it('keeps the claim once Shopify has the event', async () => {
+    shopifyService.createFulfillmentEvent.mockResolvedValue({ success: true, eventId: 900 });
+    Database.completeFulfillmentEvent.mockRejectedValue(new Error('database is locked'));
+
+    await expect(fulfillmentEventService.publish(shipment, 'delivered', { event })).resolves.toEqual({ skipped: 'failed' });
+
+    expect(Database.releaseFulfillmentEvent).not.toHaveBeenCalled();
+  });
+
+  it('does not release a claim held by another call', async () => {
+    Database.claimFulfillmentEvent.mockResolvedValue(false);
+
+    await expect(fulfillmentEventService.publish(shipment, 'delivered', { event })).resolves.toEqual({ skipped: 'duplicate' });
+
+    expect(shopifyService.createFulfillmentEvent).not.toHaveBeenCalled();
+    expect(Database.releaseFulfillmentEvent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('../../models/Database', () => ({
+  acquireLock: jest.fn(async () => true),
+  releaseLock: jest.fn(async () => true),
+  getShipmentsDueForPolling: jest.fn(),
+  appendTrackingEvents: jest.fn(async (shipmentId, events) => ({ added: events.length })),
+  updateShipmentPoll: jest.fn(async () => {}),
+  getCachedTracking: jest.fn(async () => null),
+  setCachedTracking: jest.fn(async () => {}),
+  purgeExpiredTracking: jest.fn(async () => {}),
+  getCarrierUsage: jest.fn(async () => ({ requests: 0, rejected: 0 })),
+  incrementCarrierUsage: jest.fn(async () => {})
+}));
+jest.mock('../../services/fulfillmentEventService', () => ({
+  publish: jest.fn(async () => ({ skipped: 'disabled' }))
+}));
+jest.mock('../../services/orderDeliveryStateService', () => ({
+  syncOrder: jest.fn(async () => {})
+}));
+
+const Database = require('../../models/Database');
+const trackingCache = require('../../services/trackingCache');
+const carrierRegistry = require('../../services/carriers');
+const shipmentPoller = require('../../services/shipmentPoller');
+
+const HOUR = 60 * 60 * 1000;
+const TRACKING_NUMBER = '9400100000000000000000';
+
+const shipment = {
+  id: 7,
+  shop_domain: 'example.myshopify.com',
+  order_id: '1001',
+  carrier: 'USPS',
+  tracking_number: TRACKING_NUMBER,
+  status: 'in_transit',
+  created_at: new Date().toISOString()
+};
+
+describe('shipment polling', () => {
+  let track;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.USPS_API_KEY = 'test-user';
+
+    Database.getShipmentsDueForPolling.mockResolvedValue([shipment]);
+    track = jest.spyOn(carrierRegistry.resolve('usps'), 'track').mockResolvedValue({
+      status: 'delivered',
+      events: [{
+        timestamp: '2024-03-05T13:42:00-05:00',
+        status: 'delivered',
+        description: 'Delivered, In/At Mailbox',
+        location: null
+      }]
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.USPS_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  it('fetches due shipments from the carrier even when a stale result is cached', async () => {
+    // Cached in transit two and a half hours ago: expired but still servable
+    const fetchedAt = Date.now() - 2.5 * HOUR;
+    trackingCache.remember(trackingCache.cacheKey('USPS', TRACKING_NUMBER), {
+      data: { success: true, isLiveData: true, status: 'in_transit', events: [] },
+      fetchedAt,
+      expiresAt: fetchedAt + 2 * HOUR,
+      staleUntil: fetchedAt + 26 * HOUR
+    });
+
+    await expect(shipmentPoller.runOnce()).resolves.toEqual({ polled: 1, skipped: false });
+
+    expect(track).toHaveBeenCalledTimes(1);
+    expect(Database.updateShipmentPoll).toHaveBeenCalledWith(7, expect.objectContaining({
+      status: 'delivered',
+      deliveredAt: '2024-03-05T13:42:00-05:00',
+      stopReason: 'delivered'
+    }));
+
+    // The fresh result replaces the cached one for storefront lookups
+    const cached = await trackingCache.get(trackingCache.cacheKey('USPS', TRACKING_NUMBER));
+    expect(cached.data.status).toBe('delivered');
+  });
+});
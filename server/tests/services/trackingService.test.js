@@ -0,0 +1,80 @@
+jest.mock('../../models/Database', () => ({
+  getCarrierUsage: jest.fn(async () => ({ requests: 0, rejected: 0 })),
+  incrementCarrierUsage: jest.fn(async () => {})
+}));
+
+const TRACKING_NUMBER = '9400100000000000000000';
+
+// A timeout, which withRetry retries
+function timeoutError() {
+  return Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+}
+
+describe('carrier API budget', () => {
+  let trackingService;
+  let carrierUsage;
+  let usps;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.USPS_API_KEY = 'test-user';
+    process.env.USPS_DAILY_BUDGET = '2';
+
+    trackingService = require('../../services/trackingService');
+    carrierUsage = require('../../services/carrierUsage');
+    usps = require('../../services/carriers').resolve('usps');
+  });
+
+  afterEach(() => {
+    delete process.env.USPS_API_KEY;
+    delete process.env.USPS_DAILY_BUDGET;
+    jest.restoreAllMocks();
+  });
+
+  const uspsUsage = async () => (await carrierUsage.getUsage()).find(usage => usage.code === 'usps');
+
+  it('stops retrying once the daily budget is spent', async () => {
+    const track = jest.spyOn(usps, 'track').mockRejectedValue(timeoutError());
+
+    const result = await trackingService.fetchTrackingInfo('USPS', TRACKING_NUMBER);
+
+    expect(result.carrierUnavailable).toBe(true);
+    expect(track).toHaveBeenCalledTimes(2);
+    expect(await uspsUsage()).toMatchObject({ requests: 2, rejected: 1, remaining: 0 });
+  });
+
+  it('counts every attempt against the budget', async () => {
+    process.env.USPS_DAILY_BUDGET = '3';
+    const track = jest.spyOn(usps, 'track')
+      .mockRejectedValueOnce(timeoutError())
+      .mockResolvedValueOnce({ status: 'in_transit', events: [] });
+
+    const result = await trackingService.fetchTrackingInfo('USPS', TRACKING_NUMBER);
+
+    expect(result.isLiveData).toBe(true);
+    expect(track).toHaveBeenCalledTimes(2);
+    expect(await uspsUsage()).toMatchObject({ requests: 2, rejected: 0, remaining: 1 });
+  });
+
+  it('does not let concurrent lookups overspend the budget', async () => {
+    const track = jest.spyOn(usps, 'track').mockResolvedValue({ status: 'in_transit', events: [] });
+
+    const results = await Promise.all([1, 2, 3].map(() => trackingService.fetchTrackingInfo('USPS', TRACKING_NUMBER)));
+
+    expect(track).toHaveBeenCalledTimes(2);
+    expect(results.filter(result => result.isLiveData)).toHaveLength(2);
+    expect(await uspsUsage()).toMatchObject({ requests: 2, rejected: 1 });
+  });
+
+  it('does not close a half-open circuit when the budget stops the trial', async () => {
+    process.env.USPS_DAILY_BUDGET = '1';
+    jest.spyOn(usps, 'track').mockRejectedValue(timeoutError());
+    Object.assign(usps.breaker, { state: 'open', openedAt: Date.now() - usps.breaker.cooldown });
+
+    await trackingService.fetchTrackingInfo('USPS', TRACKING_NUMBER);
+
+    expect(usps.breaker.getStatus().state).not.toBe('closed');
+  });
+});
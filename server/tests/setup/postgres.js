@@ -0,0 +1,19 @@
+const { PGlite } = require('@electric-sql/pglite');
+const { PGLiteSocketServer } = require('@electric-sql/pglite-socket');
+
+/**
+ * PostgreSQL for the storage tests: TEST_POSTGRES_URL when set (a local
+ * server; its public schema is reset by the tests), otherwise PGlite, an
+ * embedded PostgreSQL, served over a local socket so the real `pg` driver
+ * talks to it.
+ */
+module.exports = async function startPostgres() {
+  if (process.env.TEST_POSTGRES_URL) return;
+
+  const db = await PGlite.create();
+  const server = new PGLiteSocketServer({ db, port: 0, maxConnections: 10 });
+  await server.start();
+
+  globalThis.__POSTGRES__ = { db, server };
+  process.env.TEST_POSTGRES_URL = `postgres://postgres@127.0.0.1:${server.port}/postgres?sslmode=disable`;
+};
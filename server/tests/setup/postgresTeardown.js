@@ -0,0 +1,7 @@
+module.exports = async function stopPostgres() {
+  const postgres = globalThis.__POSTGRES__;
+  if (!postgres) return;
+
+  await postgres.server.stop();
+  await postgres.db.close();
+};
@@ -0,0 +1,153 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const OrderTracker = require('../../../extensions/tracking-page/assets/tracking.js');
+
+const XSS = '<script>window.__xss = true</script><img src=x onerror="window.__xss = true">';
+const ATTRIBUTE_XSS = '" onerror="window.__xss = true" x="';
+
+const BAD_URLS = [
+  'javascript:window.__xss = true',
+  ' JavaScript:window.__xss = true',
+  'data:text/html,<script>window.__xss = true</script>',
+  'vbscript:msgbox(1)'
+];
+
+function maliciousOrder(trackingUrl) {
+  return {
+    name: XSS,
+    order_number: ATTRIBUTE_XSS,
+    created_at: '2024-03-01T10:00:00Z',
+    fulfillment_status: ATTRIBUTE_XSS,
+    line_items: [
+      { id: 1, title: XSS, variant_title: ATTRIBUTE_XSS, quantity: 1, image: BAD_URLS[2] },
+      { id: 2, title: ATTRIBUTE_XSS, quantity: 2, fulfillable_quantity: 2, image: BAD_URLS[0] }
+    ],
+    fulfillments: [
+      {
+        status: 'success',
+        created_at: '2024-03-02T10:00:00Z',
+        tracking_company: XSS,
+        tracking_number: ATTRIBUTE_XSS,
+        tracking_url: trackingUrl,
+        line_items: [{ id: 1, title: XSS, quantity: 1 }]
+      },
+      {
+        status: 'success',
+        created_at: '2024-03-02T12:00:00Z',
+        tracking_company: 'UPS',
+        tracking_number: '1Z999AA10123456784',
+        tracking_url: trackingUrl,
+        line_items: [],
+        tracking: {
+          success: true,
+          isLiveData: true,
+          status: ATTRIBUTE_XSS,
+          statusLabel: XSS,
+          estimatedDelivery: XSS,
+          events: [
+            {
+              timestamp: ATTRIBUTE_XSS,
+              status: ATTRIBUTE_XSS,
+              description: XSS,
+              location: { city: XSS, state: ATTRIBUTE_XSS, country: 'US' }
+            }
+          ]
+        }
+      }
+    ]
+  };
+}
+
+// Nothing in the rendered markup can run script: no script elements, no
+// inline event handlers and no links or sources outside http(s)
+function expectInert(container) {
+  expect(container.querySelectorAll('script')).toHaveLength(0);
+
+  container.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      expect(attribute.name.startsWith('on')).toBe(false);
+    });
+  });
+
+  container.querySelectorAll('[href], [src]').forEach(element => {
+    const url = element.getAttribute('href') || element.getAttribute('src');
+    expect(url === '#' || /^https?:\/\//.test(url)).toBe(true);
+  });
+
+  expect(container.innerHTML).not.toMatch(/javascript:|vbscript:|data:text/i);
+  expect(window.__xss).toBeUndefined();
+}
+
+describe('storefront tracking output', () => {
+  let container;
+  let tracker;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div class="tracking-results"></div><div class="recommended"><div class="products-grid"></div></div>';
+    container = document.querySelector('.tracking-results');
+    container.scrollIntoView = jest.fn();
+    tracker = new OrderTracker({
+      resultsContainer: container,
+      shopDomain: 'example.myshopify.com',
+      recommendations: {
+        container: document.querySelector('.recommended'),
+        grid: document.querySelector('.products-grid'),
+        limit: 4
+      }
+    });
+    delete window.__xss;
+  });
+
+  it.each(BAD_URLS)('escapes order fields and does not link %s', (url) => {
+    tracker.showSuccess(maliciousOrder(url));
+
+    expectInert(container);
+    expect(container.querySelector('a.tracking-link')).toBeNull();
+    expect(container.textContent).toContain(XSS);
+  });
+
+  it('still links http(s) tracking URLs', () => {
+    const order = maliciousOrder('https://carrier.example/track?n=1&x="y"');
+    tracker.showSuccess(order);
+
+    expectInert(container);
+    expect(container.querySelector('a.tracking-link').getAttribute('href'))
+      .toBe('https://carrier.example/track?n=1&x=%22y%22');
+    expect(container.querySelector('a.tracking-link').getAttribute('rel')).toBe('noopener noreferrer');
+  });
+
+  it('escapes error messages and titles', () => {
+    tracker.showError(XSS, { title: ATTRIBUTE_XSS, help: XSS });
+
+    expectInert(container);
+    expect(container.querySelector('.error-message').textContent).toBe(XSS);
+    expect(container.querySelector('.error-title').textContent).toBe(ATTRIBUTE_XSS);
+  });
+
+  it('escapes recommended products and drops unsafe product URLs', async () => {
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        success: true,
+        products: BAD_URLS.map(url => ({
+          title: XSS,
+          price: ATTRIBUTE_XSS,
+          url,
+          featured_image: url
+        }))
+      })
+    }));
+
+    await tracker.showRecommendations();
+    const grid = document.querySelector('.products-grid');
+
+    expect(grid.querySelectorAll('.product-card')).toHaveLength(BAD_URLS.length);
+    expectInert(grid);
+    expect(grid.querySelectorAll('img')).toHaveLength(0);
+    grid.querySelectorAll('a').forEach(link => expect(link.getAttribute('href')).toBe('#'));
+
+    delete global.fetch;
+  });
+});